@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const ApiKey = require('./models/ApiKey');
+const { hashToken } = require('./tokenService');
+
+/**
+ * API Key Service - Issues and verifies keys for server-to-server integrations
+ * Keys look like "jp_<prefix>_<secret>". The prefix is stored in clear for
+ * lookup; the full key is only stored as a hash and shown once at creation.
+ */
+
+const API_KEY_PREFIX = 'jp_';
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Whether a credential looks like an API key (rather than a JWT)
+ * @param {string} value - Credential from a request header
+ * @returns {boolean}
+ */
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Create a new API key
+ * @param {Object} params - { name, user, organization, scopes, expiresAt }
+ * @returns {Promise<Object>} { apiKey: stored document, key: raw key (only returned here) }
+ */
+async function createApiKey({ name, user, organization, scopes, expiresAt }) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix,
+    keyHash: hashToken(key),
+    user: user._id,
+    organization: organization ? organization._id : undefined,
+    scopes,
+    expiresAt,
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Resolve a raw API key to its active key document
+ * @param {string} key - Raw API key
+ * @param {string} ip - Caller IP (recorded as last used)
+ * @returns {Promise<Object|null>} ApiKey document or null if invalid, revoked or expired
+ */
+async function verifyApiKey(key, ip) {
+  const match = /^jp_([a-f0-9]{12})_[A-Za-z0-9_-]+$/.exec(key || '');
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashToken(key), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  if (apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt < new Date())) {
+    return null;
+  }
+
+  // Record usage without writing on every single request
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+      .catch(error => console.error('Error updating API key usage:', error.message));
+  }
+
+  return apiKey;
+}
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('./models/AuditEvent');
+
+/**
+ * Audit Service - Records security and data-changing actions
+ * Recording never fails the request it belongs to: errors are logged instead.
+ */
+
+const MAX_QUERY_LIMIT = 200;
+
+/**
+ * Convert a value to something comparable and storable
+ * @param {*} value - Field value
+ * @returns {*} Plain value
+ */
+function toPlain(value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (value && typeof value.toObject === 'function') {
+    return value.toObject();
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return value.toString();
+  }
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Field-level diff between two versions of a resource
+ * @param {Object} before - Previous values (plain object or document)
+ * @param {Object} after - New values (plain object or document)
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<Object>} [{ field, before, after }] for changed fields only
+ */
+function diffFields(before, after, fields) {
+  const changes = [];
+
+  for (const field of fields) {
+    const previous = toPlain(before ? (before.get ? before.get(field) : before[field]) : undefined);
+    const next = toPlain(after ? (after.get ? after.get(field) : after[field]) : undefined);
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ field, before: previous, after: next });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record an audit event for a request
+ * @param {Object} req - Express request (actor, API key, IP and user agent are taken from it)
+ * @param {Object} event - {
+ *   action: e.g. "job.delete",
+ *   target: { type, id } of the affected resource,
+ *   changes: [{ field, before, after }],
+ *   metadata: extra details,
+ *   actor: user document or ID when req.user is not set (e.g. login)
+ * }
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(req, { action, target, changes, metadata, actor }) {
+  try {
+    const actingUser = actor || req?.user;
+    const actorId = actingUser?._id || actingUser || null;
+
+    await AuditEvent.create({
+      actor: actorId,
+      actorRole: actingUser?.role,
+      apiKey: req?.apiKey?._id,
+      action,
+      targetType: target?.type,
+      targetId: target?.id,
+      changes: changes || [],
+      metadata,
+      ip: req?.ip,
+      userAgent: req?.get ? req.get('User-Agent') : undefined,
+    });
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error.message);
+  }
+}
+
+/**
+ * Query audit events, newest first
+ * @param {Object} filters - { actor, targetType, targetId, action, from, to, page, limit }
+ * @returns {Promise<Object>} { events, total, page, limit }
+ */
+async function queryAuditEvents({ actor, targetType, targetId, action, from, to, page, limit }) {
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (action) query.action = action;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_QUERY_LIMIT);
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(query)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    AuditEvent.countDocuments(query),
+  ]);
+
+  return { events, total, page: pageNumber, limit: pageSize };
+}
+
+module.exports = {
+  diffFields,
+  recordAuditEvent,
+  queryAuditEvents,
+};
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Exchange rate configuration
+ *
+ * Salaries are compared in a single base currency. Rates come from a local
+ * JSON table (no network lookups): each entry is the value of one unit of that
+ * currency in the base currency. Point EXCHANGE_RATES_FILE at your own table
+ * to change rates, then run `npm run normalize-salaries` to update stored jobs.
+ */
+
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE
+  || path.join(__dirname, 'exchange-rates.json');
+
+const loadExchangeRates = () => {
+  const table = JSON.parse(fs.readFileSync(EXCHANGE_RATES_FILE, 'utf8'));
+  const base = String(table.base || 'USD').toUpperCase();
+
+  const rates = {};
+  for (const [currency, rate] of Object.entries(table.rates || {})) {
+    if (typeof rate === 'number' && rate > 0) {
+      rates[currency.toUpperCase()] = rate;
+    }
+  }
+  rates[base] = 1;
+
+  return { base, rates, updatedAt: table.updatedAt || null };
+};
+
+const EXCHANGE_RATES = loadExchangeRates();
+
+module.exports = {
+  BASE_CURRENCY: EXCHANGE_RATES.base,
+  EXCHANGE_RATES,
+};
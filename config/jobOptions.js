@@ -0,0 +1,12 @@
+/**
+ * Job option lists shared by job postings and candidate preferences
+ */
+
+const EMPLOYMENT_TYPES = ['Full-time', 'Part-time', 'Contract', 'Freelance', 'Internship'];
+
+const WORKPLACE_TYPES = ['On-site', 'Hybrid', 'Remote'];
+
+module.exports = {
+  EMPLOYMENT_TYPES,
+  WORKPLACE_TYPES,
+};
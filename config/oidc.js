@@ -0,0 +1,52 @@
+/**
+ * OIDC provider configuration
+ *
+ * Providers are listed in OIDC_PROVIDERS (comma separated names) and configured
+ * with OIDC_<NAME>_* variables, e.g. for OIDC_PROVIDERS=google:
+ *
+ *   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+ *   OIDC_GOOGLE_CLIENT_ID=...
+ *   OIDC_GOOGLE_CLIENT_SECRET=...          (optional for public clients)
+ *   OIDC_GOOGLE_REDIRECT_URI=...           (default: <CLIENT_URL>/auth/oidc/google/callback)
+ *   OIDC_GOOGLE_SCOPES=openid email profile
+ *   OIDC_GOOGLE_DISPLAY_NAME=Google
+ */
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const loadProviders = () => {
+  const names = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = {};
+  for (const name of names) {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`OIDC provider "${name}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID and was skipped`);
+      continue;
+    }
+
+    providers[name] = {
+      name,
+      displayName: process.env[`${prefix}DISPLAY_NAME`] || name,
+      issuer: issuer.replace(/\/+$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || null,
+      redirectUri: process.env[`${prefix}REDIRECT_URI`] || `${CLIENT_URL}/auth/oidc/${name}/callback`,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+    };
+  }
+
+  return providers;
+};
+
+const OIDC_PROVIDERS = loadProviders();
+
+module.exports = {
+  OIDC_PROVIDERS,
+};
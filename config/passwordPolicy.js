@@ -0,0 +1,31 @@
+/**
+ * Password policy configuration
+ *
+ * Every rule can be tuned through the environment. Boolean rules are on by
+ * default and are turned off by setting the variable to "false".
+ */
+
+const envFlag = (name, defaultValue = true) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return value !== 'false';
+};
+
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH) || 128,
+  requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE'),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE'),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER'),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  // Reject passwords that contain the user's name or the local part of their email
+  disallowPersonalInfo: envFlag('PASSWORD_DISALLOW_PERSONAL_INFO'),
+  // Reject passwords found in the bundled common/breached password list
+  disallowCommon: envFlag('PASSWORD_DISALLOW_COMMON'),
+};
+
+module.exports = {
+  PASSWORD_POLICY,
+};
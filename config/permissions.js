@@ -0,0 +1,116 @@
+/**
+ * Permission configuration
+ *
+ * ROLE_PERMISSIONS is what a platform role may attempt at all.
+ * ORGANIZATION_ROLE_PERMISSIONS is what a member may do on resources owned
+ * by their organization (jobs, their applications and applicants' resumes).
+ * A request is allowed when both the platform role grants the permission and
+ * the resource scope check passes (see middleware/permissions.js).
+ */
+
+const PERMISSIONS = [
+  'admin:access',
+  'organization:create',
+  'organization:read',
+  'organization:manage',
+  'job:create',
+  'job:update',
+  'job:delete',
+  'job:analytics',
+  'job:revisions:read',
+  'job:bookmark',
+  'application:create',
+  'application:read',
+  'application:update-status',
+  'resume:upload',
+  'resume:download',
+  'resume:delete',
+];
+
+const ROLE_PERMISSIONS = {
+  candidate: [
+    'job:bookmark',
+    'application:create',
+    'application:read',
+    'resume:upload',
+    'resume:download',
+    'resume:delete',
+  ],
+  recruiter: [
+    'organization:create',
+    'organization:read',
+    'organization:manage',
+    'job:create',
+    'job:update',
+    'job:delete',
+    'job:analytics',
+    'job:revisions:read',
+    'job:bookmark',
+    'application:read',
+    'application:update-status',
+    'resume:upload',
+    'resume:download',
+    'resume:delete',
+  ],
+  // Admins hold every permission on every resource
+  admin: PERMISSIONS,
+};
+
+const ORGANIZATION_ROLE_PERMISSIONS = {
+  owner: [
+    'organization:read',
+    'organization:manage',
+    'job:create',
+    'job:update',
+    'job:delete',
+    'job:analytics',
+    'job:revisions:read',
+    'application:read',
+    'application:update-status',
+    'resume:download',
+  ],
+  recruiter: [
+    'organization:read',
+    'job:create',
+    'job:update',
+    'job:delete',
+    'job:analytics',
+    'job:revisions:read',
+    'application:read',
+    'application:update-status',
+    'resume:download',
+  ],
+  hiring_manager: [
+    'organization:read',
+    'job:analytics',
+    'job:revisions:read',
+    'application:read',
+    'application:update-status',
+    'resume:download',
+  ],
+  viewer: [
+    'organization:read',
+    'job:analytics',
+    'job:revisions:read',
+    'application:read',
+  ],
+};
+
+// Permissions that may be granted to API keys
+const API_KEY_SCOPES = [
+  'job:create',
+  'job:update',
+  'job:delete',
+  'job:analytics',
+  'job:revisions:read',
+  'application:read',
+  'application:update-status',
+  'resume:download',
+];
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLE_PERMISSIONS,
+  ORGANIZATION_ROLE_PERMISSIONS,
+};
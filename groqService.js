@@ -1,4 +1,5 @@
 const Groq = require('groq-sdk');
+const { buildTextSearch } = require('./jobSearchService');
 
 // Lazy initialization of Groq client (only when needed and API key is available)
 let groq = null;
@@ -147,6 +148,8 @@ function extractKeywords(text) {
 
 /**
  * Build MongoDB query from processed search data
+ * Terms go through the weighted text index on Job (see models/Job.js) rather
+ * than regular expressions, so results can be ranked by relevance.
  * @param {Object} processedData - Processed search data from Groq
  * @param {Object} existingQuery - Existing query object
  * @returns {Object} - Enhanced MongoDB query
@@ -154,51 +157,25 @@ function extractKeywords(text) {
 function buildEnhancedQuery(processedData, existingQuery = {}) {
   const query = { ...existingQuery };
 
-  if (!processedData || !processedData.useAI) {
-    if (processedData?.processedQuery) {
-      query.$or = [
-        { title: { $regex: processedData.processedQuery, $options: 'i' } },
-        { description: { $regex: processedData.processedQuery, $options: 'i' } },
-        { company: { $regex: processedData.processedQuery, $options: 'i' } },
-      ];
-    }
+  if (!processedData) {
     return query;
   }
 
-  const searchConditions = [];
-
-  if (processedData.processedQuery) {
-    searchConditions.push(
-      { title: { $regex: processedData.processedQuery, $options: 'i' } },
-      { description: { $regex: processedData.processedQuery, $options: 'i' } },
-      { company: { $regex: processedData.processedQuery, $options: 'i' } }
+  const terms = [processedData.processedQuery];
+  if (processedData.useAI) {
+    terms.push(
+      ...(processedData.keywords || []),
+      ...(processedData.skills || []),
+      processedData.jobTitle
     );
   }
 
-  if (processedData.keywords && processedData.keywords.length > 0) {
-    processedData.keywords.forEach(keyword => {
-      searchConditions.push(
-        { title: { $regex: keyword, $options: 'i' } },
-        { description: { $regex: keyword, $options: 'i' } }
-      );
-    });
-  }
-
-  if (processedData.jobTitle) {
-    searchConditions.push({ title: { $regex: processedData.jobTitle, $options: 'i' } });
-  }
-
-  if (processedData.skills && processedData.skills.length > 0) {
-    processedData.skills.forEach(skill => {
-      searchConditions.push({ skills: { $in: [new RegExp(skill, 'i')] } });
-    });
-  }
-
-  if (searchConditions.length > 0) {
-    query.$or = (query.$or || []).concat(searchConditions);
+  const textSearch = buildTextSearch(terms);
+  if (textSearch) {
+    query.$text = { $search: textSearch };
   }
 
-  if (processedData.jobLevel) {
+  if (processedData.useAI && processedData.jobLevel) {
     const levelMap = {
       'entry': { $lte: 2 },
       'mid': { $gte: 2, $lte: 5 },
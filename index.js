@@ -6,24 +6,49 @@ const { connectDB } = require('./config/database');
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a mail transport outside development (emails carry live account links)
+const { assertMailConfigured } = require('./mailService');
+try {
+  assertMailConfigured();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 
+// Honor X-Forwarded-For when running behind a reverse proxy (used for per-IP login limits)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
+// Bulk job imports carry larger bodies than regular requests
+app.use('/api/jobs/import', express.json({ limit: process.env.JOB_IMPORT_MAX_SIZE || '5mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Background tasks (job publishing and expiry, saved search notifications)
+const { startScheduler } = require('./scheduler');
+const { registerJobLifecycleTasks } = require('./jobLifecycleService');
+const { registerSavedSearchTasks } = require('./savedSearchService');
+registerJobLifecycleTasks();
+registerSavedSearchTasks();
+
 // Connect to MongoDB
 connectDB().then(() => {
+  startScheduler();
+
   // Initialize GridFS after MongoDB connection (non-blocking)
   setTimeout(async () => {
     try {
-      const { initGridFS } = require('./services/gridfsService');
+      const { initGridFS } = require('./gridfsService');
       const result = await initGridFS();
       if (result) {
         console.log('✅ GridFS ready for file storage');
@@ -40,12 +65,17 @@ connectDB().then(() => {
 });
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/jobs', require('./routes/jobs'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/applications', require('./routes/applications'));
+app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/feeds', require('./routes/feeds'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const JobStat = require('./models/JobStat');
+const JobView = require('./models/JobView');
+const { verifyToken } = require('./utils/jwt');
+const { hashToken } = require('./tokenService');
+const { isApiKey } = require('./apiKeyService');
+
+/**
+ * Job Analytics Service - Views, bookmarks and applications per job and day
+ * Counters live in one JobStat document per job and UTC day. A view counts
+ * once per visitor and day: signed-in users are recognized by their account,
+ * anonymous visitors by IP address and user agent. A bookmark counts once per
+ * user and day, however often it is toggled. Recording never fails or slows
+ * down the request it belongs to.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const METRICS = ['views', 'bookmarks', 'applications'];
+
+// Crawlers and link previews are not audience
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|headless|monitor/i;
+
+/**
+ * Start of the UTC day containing a date
+ * @param {Date} date - Any time
+ * @returns {Date}
+ */
+function startOfDay(date = new Date()) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Add one to a job's counter for today
+ * @param {string} jobId - Job ID
+ * @param {string} metric - One of METRICS
+ * @returns {Promise<void>}
+ */
+async function incrementJobStat(jobId, metric) {
+  await JobStat.updateOne(
+    { job: jobId, day: startOfDay() },
+    { $inc: { [metric]: 1 } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Record an application without affecting the request
+ * Candidates can apply to a job only once, so applications need no deduplication.
+ * @param {string} jobId - Job ID
+ */
+function trackJobApplication(jobId) {
+  incrementJobStat(jobId, 'applications')
+    .catch(error => console.error('Error recording job application:', error.message));
+}
+
+/**
+ * Who is viewing - the signed-in user when a valid access token is sent, otherwise IP and user agent
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getVisitorKey(req) {
+  const authHeader = req.header('Authorization');
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+
+  if (token && !isApiKey(token)) {
+    try {
+      const { userId } = verifyToken(token);
+      if (userId) {
+        return `user:${userId}`;
+      }
+    } catch (error) {
+      // Invalid or expired tokens count as anonymous visits
+    }
+  }
+
+  return `anon:${req.ip}|${req.get('User-Agent') || ''}`;
+}
+
+/**
+ * Mark that a visitor viewed or bookmarked a job today
+ * @param {string} jobId - Job ID
+ * @param {string} event - "view" or "bookmark"
+ * @param {string} visitorKey - Visitor identity (see getVisitorKey)
+ * @returns {Promise<boolean>} False when the visitor already did so today
+ */
+async function markDailyEvent(jobId, event, visitorKey) {
+  const day = startOfDay();
+  try {
+    await JobView.create({
+      job: jobId,
+      event,
+      // Salted with the day so a visitor cannot be followed across days
+      visitor: hashToken(`${visitorKey}|${day.toISOString()}`),
+      day,
+      expiresAt: new Date(day.getTime() + 2 * DAY_MS),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Count a view of a job, once per visitor and day
+ * @param {Object} req - Express request
+ * @param {Object} job - Job document
+ * @returns {Promise<boolean>} Whether the view was counted
+ */
+async function recordJobView(req, job) {
+  if (BOT_PATTERN.test(req.get('User-Agent') || '')) {
+    return false;
+  }
+
+  if (!(await markDailyEvent(job._id, 'view', getVisitorKey(req)))) {
+    return false;
+  }
+
+  await incrementJobStat(job._id, 'views');
+  return true;
+}
+
+/**
+ * Record a view without affecting the request
+ * @param {Object} req - Express request
+ * @param {Object} job - Job document
+ */
+function trackJobView(req, job) {
+  recordJobView(req, job)
+    .catch(error => console.error('Error recording job view:', error.message));
+}
+
+/**
+ * Count a bookmark of a job, once per user and day
+ * @param {string} jobId - Job ID
+ * @param {Object} user - User who bookmarked the job
+ * @returns {Promise<boolean>} Whether the bookmark was counted
+ */
+async function recordJobBookmark(jobId, user) {
+  if (!(await markDailyEvent(jobId, 'bookmark', `user:${user._id}`))) {
+    return false;
+  }
+
+  await incrementJobStat(jobId, 'bookmarks');
+  return true;
+}
+
+/**
+ * Record a bookmark without affecting the request
+ * @param {string} jobId - Job ID
+ * @param {Object} user - User who bookmarked the job
+ */
+function trackJobBookmark(jobId, user) {
+  recordJobBookmark(jobId, user)
+    .catch(error => console.error('Error recording job bookmark:', error.message));
+}
+
+/**
+ * Parse the reporting period from query parameters (whole UTC days, both ends included)
+ * @param {Object} query - { from, to } as dates (YYYY-MM-DD)
+ * @returns {Object} { from, to } or { error }
+ */
+function parseAnalyticsRange({ from, to } = {}) {
+  const end = startOfDay(to ? new Date(to) : new Date());
+  const start = startOfDay(from ? new Date(from) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (start > end) {
+    return { error: 'from must be before to' };
+  }
+  if ((end - start) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: `The date range cannot be longer than ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+}
+
+/**
+ * View → bookmark → apply conversion rates
+ * @param {Object} totals - { views, bookmarks, applications }
+ * @returns {Object} Funnel with rates rounded to 4 decimals (null without views/bookmarks)
+ */
+function buildFunnel({ views, bookmarks, applications }) {
+  const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+  return {
+    views,
+    bookmarks,
+    applications,
+    viewToBookmarkRate: rate(bookmarks, views),
+    bookmarkToApplyRate: rate(applications, bookmarks),
+    viewToApplyRate: rate(applications, views),
+  };
+}
+
+const emptyTotals = () => Object.fromEntries(METRICS.map(metric => [metric, 0]));
+
+/**
+ * Daily series and funnel for one job
+ * @param {Object} job - Job document
+ * @param {Object} range - { from, to } from parseAnalyticsRange
+ * @returns {Promise<Object>} { job, range, totals, funnel, series }
+ */
+async function getJobAnalytics(job, { from, to }) {
+  const stats = await JobStat.find({ job: job._id, day: { $gte: from, $lte: to } }).lean();
+  const byDay = new Map(stats.map(stat => [stat.day.getTime(), stat]));
+
+  const totals = emptyTotals();
+  const series = [];
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    const stat = byDay.get(time) || {};
+    const point = { date: new Date(time).toISOString().slice(0, 10) };
+    METRICS.forEach(metric => {
+      point[metric] = stat[metric] || 0;
+      totals[metric] += point[metric];
+    });
+    series.push(point);
+  }
+
+  return {
+    job: { _id: job._id, title: job.title, company: job.company, status: job.status },
+    range: { from: series[0].date, to: series[series.length - 1].date },
+    totals,
+    funnel: buildFunnel(totals),
+    series,
+  };
+}
+
+/**
+ * Totals and funnel for each of a set of jobs
+ * @param {Array<Object>} jobs - Job documents
+ * @param {Object} range - { from, to } from parseAnalyticsRange
+ * @returns {Promise<Array<Object>>} [{ job, totals, funnel }] ordered by views
+ */
+async function getJobsAnalyticsSummary(jobs, { from, to }) {
+  const totalsByJob = await JobStat.aggregate([
+    {
+      $match: {
+        job: { $in: jobs.map(job => new mongoose.Types.ObjectId(job._id)) },
+        day: { $gte: from, $lte: to },
+      },
+    },
+    {
+      $group: {
+        _id: '$job',
+        ...Object.fromEntries(METRICS.map(metric => [metric, { $sum: `$${metric}` }])),
+      },
+    },
+  ]);
+  const byJob = new Map(totalsByJob.map(({ _id, ...totals }) => [_id.toString(), totals]));
+
+  return jobs
+    .map(job => {
+      const totals = { ...emptyTotals(), ...byJob.get(job._id.toString()) };
+      return {
+        job: { _id: job._id, title: job.title, company: job.company, status: job.status },
+        totals,
+        funnel: buildFunnel(totals),
+      };
+    })
+    .sort((a, b) => b.totals.views - a.totals.views);
+}
+
+module.exports = {
+  startOfDay,
+  trackJobApplication,
+  recordJobView,
+  trackJobView,
+  recordJobBookmark,
+  trackJobBookmark,
+  parseAnalyticsRange,
+  getJobAnalytics,
+  getJobsAnalyticsSummary,
+};
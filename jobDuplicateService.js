@@ -0,0 +1,226 @@
+const Job = require('./models/Job');
+const User = require('./models/User');
+const Application = require('./models/Application');
+const { recordAuditEvent } = require('./auditService');
+const { buildJobFingerprint, compareFingerprints } = require('./utils/jobFingerprint');
+
+/**
+ * Job Duplicate Service - Detecting and merging re-posted jobs
+ * New and edited postings are compared with the active jobs of the same
+ * company. JOB_DUPLICATE_MODE decides what happens on a near-duplicate:
+ * - warn: save the job and return the matches (default)
+ * - block: reject the job with 409
+ * - off: skip the check
+ */
+
+const JOB_DUPLICATE_MODE = process.env.JOB_DUPLICATE_MODE || 'warn';
+const JOB_DUPLICATE_THRESHOLD = parseFloat(process.env.JOB_DUPLICATE_THRESHOLD) || 0.8;
+const MAX_CANDIDATES = 50;
+
+const FINGERPRINT_FIELDS = ['title', 'company', 'location', 'description'];
+
+const summarizeJob = (job) => ({
+  _id: job._id,
+  title: job.title,
+  company: job.company,
+  location: job.location,
+  status: job.status,
+  createdAt: job.createdAt,
+  applicantCount: (job.applicants || []).length,
+});
+
+/**
+ * Active jobs that look like a near-duplicate of the given job
+ * @param {Object} job - Job document (saved or not)
+ * @param {Object} options - { threshold }
+ * @returns {Promise<Array<Object>>} [{ job: summary, similarity }], most similar first
+ */
+async function findDuplicateJobs(job, { threshold = JOB_DUPLICATE_THRESHOLD } = {}) {
+  const fingerprint = job.duplicateFingerprint || buildJobFingerprint(job);
+
+  const candidates = await Job.find({
+    _id: { $ne: job._id },
+    status: 'active',
+    'duplicateFingerprint.company': fingerprint.company,
+    $or: [
+      { 'duplicateFingerprint.shingles': { $in: fingerprint.shingles } },
+      { 'duplicateFingerprint.title': fingerprint.title },
+    ],
+  })
+    .select('+duplicateFingerprint')
+    .limit(MAX_CANDIDATES);
+
+  return candidates
+    .map(candidate => ({
+      job: summarizeJob(candidate),
+      similarity: compareFingerprints(fingerprint, candidate.duplicateFingerprint),
+    }))
+    .filter(match => match.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Run the configured duplicate check for a job about to be saved
+ * @param {Object} job - Job document (validated, so its fingerprint is current)
+ * @returns {Promise<Object>} { duplicates, blocked }
+ */
+async function checkForDuplicates(job) {
+  if (JOB_DUPLICATE_MODE === 'off') {
+    return { duplicates: [], blocked: false };
+  }
+
+  const duplicates = await findDuplicateJobs(job);
+  return { duplicates, blocked: JOB_DUPLICATE_MODE === 'block' && duplicates.length > 0 };
+}
+
+/**
+ * Whether an update touched the content duplicates are detected on
+ * @param {Object} job - Job document with pending changes
+ * @returns {boolean}
+ */
+function needsDuplicateCheck(job) {
+  return job.status !== 'closed' && FINGERPRINT_FIELDS.some(field => job.isModified(field));
+}
+
+/**
+ * Groups of active jobs that are near-duplicates of each other
+ * Jobs are linked when their similarity reaches the threshold; linked jobs form a cluster.
+ * @param {Object} options - { threshold }
+ * @returns {Promise<Array<Object>>} [{ company, jobs, pairs: [{ a, b, similarity }] }]
+ */
+async function getDuplicateClusters({ threshold = JOB_DUPLICATE_THRESHOLD } = {}) {
+  const jobs = await Job.find({ status: 'active', duplicateFingerprint: { $exists: true } })
+    .select('+duplicateFingerprint')
+    .sort({ 'duplicateFingerprint.company': 1, createdAt: 1 });
+
+  const byCompany = new Map();
+  jobs.forEach(job => {
+    const company = job.duplicateFingerprint.company;
+    if (!byCompany.has(company)) byCompany.set(company, []);
+    byCompany.get(company).push(job);
+  });
+
+  const clusters = [];
+  for (const companyJobs of byCompany.values()) {
+    // Union-find over the jobs of one company
+    const parent = companyJobs.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const pairs = [];
+
+    for (let i = 0; i < companyJobs.length; i++) {
+      for (let j = i + 1; j < companyJobs.length; j++) {
+        const similarity = compareFingerprints(companyJobs[i].duplicateFingerprint, companyJobs[j].duplicateFingerprint);
+        if (similarity >= threshold) {
+          parent[find(j)] = find(i);
+          pairs.push({ a: companyJobs[i]._id, b: companyJobs[j]._id, similarity });
+        }
+      }
+    }
+
+    const groups = new Map();
+    companyJobs.forEach((job, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(job);
+    });
+
+    for (const group of groups.values()) {
+      if (group.length < 2) {
+        continue;
+      }
+      const ids = new Set(group.map(job => job._id.toString()));
+      clusters.push({
+        company: group[0].company,
+        jobs: group.map(summarizeJob),
+        pairs: pairs.filter(pair => ids.has(pair.a.toString())),
+      });
+    }
+  }
+
+  return clusters.sort((a, b) => b.jobs.length - a.jobs.length);
+}
+
+/**
+ * Merge duplicate jobs into a primary job
+ * Applications and bookmarks move to the primary job (a candidate who applied
+ * to both keeps the application on the primary job), applicants are combined,
+ * and each duplicate is closed with mergedInto pointing at the primary.
+ * @param {Object} req - Express request (admin performing the merge)
+ * @param {Object} params - { primaryJobId, duplicateJobIds }
+ * @returns {Promise<Object>} { primary, merged } or { error, status }
+ */
+async function mergeDuplicateJobs(req, { primaryJobId, duplicateJobIds }) {
+  const duplicateIds = [...new Set((duplicateJobIds || []).map(String))];
+  if (!primaryJobId || duplicateIds.length === 0) {
+    return { error: 'primaryJobId and at least one duplicate job ID are required', status: 400 };
+  }
+  if (duplicateIds.includes(String(primaryJobId))) {
+    return { error: 'The primary job cannot also be a duplicate', status: 400 };
+  }
+
+  const primary = await Job.findById(primaryJobId);
+  if (!primary) {
+    return { error: 'Primary job not found', status: 404 };
+  }
+  if (primary.mergedInto) {
+    return { error: 'The primary job has already been merged into another job', status: 400 };
+  }
+
+  const duplicates = await Job.find({ _id: { $in: duplicateIds } });
+  if (duplicates.length !== duplicateIds.length) {
+    return { error: 'One or more duplicate jobs were not found', status: 404 };
+  }
+  if (duplicates.some(duplicate => duplicate.mergedInto)) {
+    return { error: 'One or more duplicate jobs have already been merged', status: 400 };
+  }
+
+  const merged = [];
+  for (const duplicate of duplicates) {
+    let movedApplications = 0;
+    let keptApplications = 0;
+
+    const applications = await Application.find({ job: duplicate._id });
+    for (const application of applications) {
+      try {
+        await Application.updateOne({ _id: application._id }, { job: primary._id });
+        movedApplications++;
+      } catch (error) {
+        // The candidate already applied to the primary job - keep both as they are
+        if (error.code !== 11000) {
+          throw error;
+        }
+        keptApplications++;
+      }
+    }
+
+    await Job.updateOne({ _id: primary._id }, { $addToSet: { applicants: { $each: duplicate.applicants } } });
+
+    await User.updateMany({ bookmarks: duplicate._id }, { $addToSet: { bookmarks: primary._id } });
+    await User.updateMany({ bookmarks: duplicate._id }, { $pull: { bookmarks: duplicate._id } });
+
+    await Job.updateOne({ _id: duplicate._id }, {
+      mergedInto: primary._id,
+      ...(duplicate.status === 'closed' ? {} : { status: 'closed', closedAt: new Date(), closedReason: 'duplicate' }),
+    });
+
+    await recordAuditEvent(req, {
+      action: 'job.merge',
+      target: { type: 'Job', id: duplicate._id },
+      changes: [{ field: 'mergedInto', before: null, after: primary._id.toString() }],
+      metadata: { primary: primary._id, movedApplications, keptApplications },
+    });
+
+    merged.push({ jobId: duplicate._id, title: duplicate.title, movedApplications, keptApplications });
+  }
+
+  return { primary: await Job.findById(primary._id), merged };
+}
+
+module.exports = {
+  JOB_DUPLICATE_MODE,
+  findDuplicateJobs,
+  checkForDuplicates,
+  needsDuplicateCheck,
+  getDuplicateClusters,
+  mergeDuplicateJobs,
+};
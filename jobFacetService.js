@@ -0,0 +1,124 @@
+const Job = require('./models/Job');
+const { BASE_CURRENCY } = require('./utils/currency');
+
+/**
+ * Job Facet Service - Counts behind the filter sidebar of search results
+ * Each facet is counted with every applied filter except its own, so selecting
+ * "Berlin" still shows how many jobs the other locations would give.
+ */
+
+const FACET_LIMIT = parseInt(process.env.FACET_LIMIT) || 20;
+
+const EXPERIENCE_BANDS = [
+  { value: '0-1 years', min: 0, max: 1 },
+  { value: '2-4 years', min: 2, max: 4 },
+  { value: '5-9 years', min: 5, max: 9 },
+  { value: '10+ years', min: 10, max: null },
+];
+
+// In the base currency (see config/exchangeRates.js)
+const SALARY_BANDS = [
+  { value: 'Under 50k', min: 0, max: 49999 },
+  { value: '50k-100k', min: 50000, max: 99999 },
+  { value: '100k-150k', min: 100000, max: 149999 },
+  { value: '150k-200k', min: 150000, max: 199999 },
+  { value: '200k+', min: 200000, max: null },
+].map(band => ({ ...band, currency: BASE_CURRENCY }));
+
+/**
+ * Facet definitions
+ * filterKeys: query fields owned by the facet (dropped when counting it)
+ * field: value to count (arrays are unwound); bands: group a numeric value into ranges
+ */
+const FACETS = {
+  location: { filterKeys: ['location'], field: '$location' },
+  skills: { filterKeys: ['skills'], field: '$skills', unwind: true },
+  company: { filterKeys: ['company'], field: '$company' },
+  employmentType: { filterKeys: ['employmentType'], field: '$employmentType' },
+  workplaceType: { filterKeys: ['workplaceType'], field: '$workplaceType' },
+  experience: { filterKeys: ['experience'], field: '$experience', bands: EXPERIENCE_BANDS },
+  salary: { filterKeys: ['salary.normalizedMax', 'salary.normalizedMin'], field: '$salary.normalizedMax', bands: SALARY_BANDS },
+};
+
+/**
+ * Expression mapping a numeric value to the label of its band
+ * @param {*} field - Value expression
+ * @param {Array<Object>} bands - [{ value, min, max }]
+ * @returns {Object} Aggregation expression (null when the value is missing or outside all bands)
+ */
+function bandExpression(field, bands) {
+  return {
+    $switch: {
+      branches: bands.map(band => ({
+        case: {
+          $and: [
+            { $ne: [{ $type: field }, 'missing'] },
+            { $ne: [field, null] },
+            { $gte: [field, band.min] },
+            ...(band.max === null ? [] : [{ $lte: [field, band.max] }]),
+          ],
+        },
+        then: band.value,
+      })),
+      default: null,
+    },
+  };
+}
+
+/**
+ * Count one facet
+ * @param {Object} facet - Facet definition
+ * @param {Object} filter - Applied filter without the facet's own fields
+ * @returns {Promise<Array<Object>>} [{ value, count }] (bands also carry min/max)
+ */
+async function countFacet(facet, filter) {
+  const pipeline = [{ $match: filter }];
+
+  if (facet.unwind) {
+    pipeline.push({ $unwind: facet.field });
+  }
+
+  const groupKey = facet.bands ? bandExpression(facet.field, facet.bands) : facet.field;
+  pipeline.push(
+    { $group: { _id: groupKey, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT }
+  );
+
+  const buckets = await Job.aggregate(pipeline);
+
+  if (facet.bands) {
+    // Bands keep their natural order rather than sorting by count
+    return facet.bands
+      .map(band => ({ ...band, count: buckets.find(bucket => bucket._id === band.value)?.count || 0 }))
+      .filter(band => band.count > 0);
+  }
+
+  return buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+}
+
+/**
+ * Facet counts for a search
+ * @param {Object} filter - MongoDB filter of the search (including $text and filters)
+ * @returns {Promise<Object>} { [facet]: [{ value, count }] }
+ */
+async function getJobFacets(filter) {
+  const names = Object.keys(FACETS);
+
+  const results = await Promise.all(names.map(name => {
+    const facet = FACETS[name];
+    const facetFilter = { ...filter };
+    facet.filterKeys.forEach(key => delete facetFilter[key]);
+    return countFacet(facet, facetFilter);
+  }));
+
+  return Object.fromEntries(names.map((name, index) => [name, results[index]]));
+}
+
+module.exports = {
+  FACETS,
+  EXPERIENCE_BANDS,
+  SALARY_BANDS,
+  getJobFacets,
+};
@@ -0,0 +1,324 @@
+const Job = require('./models/Job');
+const { buildJobFilters } = require('./jobSearchService');
+const { buildClientUrl } = require('./utils/emailTemplates');
+
+/**
+ * Job Feed Service - RSS/Atom feeds, XML sitemap and schema.org JobPosting data
+ * Feeds only list active jobs. Generated documents are cached in memory and
+ * reused until any job changes: the cache is keyed by a fingerprint of the
+ * newest job update time and the number of jobs, so edits, status changes
+ * and deletions made by any server instance invalidate it.
+ */
+
+const FEED_MAX_ITEMS = parseInt(process.env.FEED_MAX_ITEMS) || 50;
+const SITEMAP_MAX_URLS = 50000;
+const FEED_CACHE_MAX_ENTRIES = 100;
+
+// schema.org employmentType values for our employment types
+const SCHEMA_EMPLOYMENT_TYPES = {
+  'Full-time': 'FULL_TIME',
+  'Part-time': 'PART_TIME',
+  Contract: 'CONTRACTOR',
+  Freelance: 'CONTRACTOR',
+  Internship: 'INTERN',
+};
+
+const feedCache = new Map();
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const jobUrl = (job) => buildClientUrl(`/jobs/${job._id}`);
+
+/**
+ * Fingerprint of the job collection that changes whenever any job does
+ * @returns {Promise<string>}
+ */
+async function getJobsFingerprint() {
+  const [latest, count] = await Promise.all([
+    Job.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    Job.estimatedDocumentCount(),
+  ]);
+  return `${latest ? latest.updatedAt.getTime() : 0}:${count}`;
+}
+
+/**
+ * Return a cached document, or build and cache it
+ * @param {string} key - Cache key (document type and parameters)
+ * @param {Function} build - async () => string
+ * @returns {Promise<string>}
+ */
+async function getCached(key, build) {
+  const fingerprint = await getJobsFingerprint();
+  const cached = feedCache.get(key);
+  if (cached && cached.fingerprint === fingerprint) {
+    return cached.body;
+  }
+
+  const body = await build();
+
+  feedCache.delete(key);
+  if (feedCache.size >= FEED_CACHE_MAX_ENTRIES) {
+    // Maps keep insertion order - drop the least recently built entry
+    feedCache.delete(feedCache.keys().next().value);
+  }
+  feedCache.set(key, { fingerprint, body });
+
+  return body;
+}
+
+/**
+ * Parse feed filters from query parameters
+ * @param {Object} query - { skill, location, company }
+ * @returns {Object} { filters, filter } or { error }
+ */
+function parseFeedFilters({ skill, location, company } = {}) {
+  const filters = {
+    skill: skill ? String(skill).trim() : undefined,
+    location: location ? String(location).trim() : undefined,
+    company: company ? String(company).trim() : undefined,
+  };
+
+  const { filter, error } = buildJobFilters({
+    skills: filters.skill,
+    location: filters.location,
+    company: filters.company,
+  });
+  if (error) {
+    return { error };
+  }
+
+  return { filters, filter };
+}
+
+/**
+ * Human readable feed title for the applied filters
+ * @param {Object} filters - { skill, location, company }
+ * @returns {string}
+ */
+function feedTitle(filters) {
+  const parts = [];
+  if (filters.skill) parts.push(filters.skill);
+  if (filters.company) parts.push(`at ${filters.company}`);
+  if (filters.location) parts.push(`in ${filters.location}`);
+  return parts.length > 0 ? `Job Portal - ${parts.join(' ')} jobs` : 'Job Portal - Latest jobs';
+}
+
+/**
+ * When a job went live - when it was posted, or at its publish date for scheduled drafts
+ * @param {Object} job - Job
+ * @returns {Date}
+ */
+function getGoLiveDate(job) {
+  const createdAt = new Date(job.createdAt);
+  return job.publishAt && new Date(job.publishAt) > createdAt ? new Date(job.publishAt) : createdAt;
+}
+
+/**
+ * Most recently published active jobs matching a feed filter
+ * Ordered by go-live date, so a scheduled draft that was written weeks ago
+ * still appears at the top of the feed on the day it is published.
+ * @param {Object} filter - MongoDB filter
+ * @returns {Promise<Array>}
+ */
+function findFeedJobs(filter) {
+  return Job.aggregate([
+    { $match: filter },
+    // $max skips a missing publishAt
+    { $addFields: { liveAt: { $max: ['$createdAt', '$publishAt'] } } },
+    { $sort: { liveAt: -1, _id: -1 } },
+    { $limit: FEED_MAX_ITEMS },
+    // Aggregation ignores select: false - drop internal fields here
+    { $project: { duplicateFingerprint: 0 } },
+  ]);
+}
+
+/**
+ * Short plain-text summary of a job for feed entries
+ * @param {Object} job - Job
+ * @returns {string}
+ */
+function summarizeJob(job) {
+  const details = [job.company, job.location, job.employmentType, job.workplaceType].filter(Boolean).join(' · ');
+  return `${details}\n\n${job.description || ''}`;
+}
+
+/**
+ * RSS 2.0 feed of active jobs
+ * @param {Object} params - { filters, filter, selfUrl }
+ * @returns {Promise<string>} XML
+ */
+async function getRssFeed({ filters, filter, selfUrl }) {
+  return getCached(`rss:${selfUrl}`, async () => {
+    const jobs = await findFeedJobs(filter);
+    const lastBuild = jobs.length > 0 ? getGoLiveDate(jobs[0]) : new Date();
+
+    const items = jobs.map(job => `    <item>
+      <title>${escapeXml(`${job.title} - ${job.company}`)}</title>
+      <link>${escapeXml(jobUrl(job))}</link>
+      <guid isPermaLink="false">${job._id}</guid>
+      <pubDate>${getGoLiveDate(job).toUTCString()}</pubDate>
+      <description>${escapeXml(summarizeJob(job))}</description>
+${(job.skills || []).map(skill => `      <category>${escapeXml(skill)}</category>\n`).join('')}    </item>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feedTitle(filters))}</title>
+    <link>${escapeXml(buildClientUrl('/jobs'))}</link>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />
+    <description>Active job openings on Job Portal</description>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+  });
+}
+
+/**
+ * Atom 1.0 feed of active jobs
+ * @param {Object} params - { filters, filter, selfUrl }
+ * @returns {Promise<string>} XML
+ */
+async function getAtomFeed({ filters, filter, selfUrl }) {
+  return getCached(`atom:${selfUrl}`, async () => {
+    const jobs = await findFeedJobs(filter);
+    const updated = jobs.reduce((latest, job) => (job.updatedAt > latest ? job.updatedAt : latest), new Date(0));
+
+    const entries = jobs.map(job => `  <entry>
+    <id>urn:jobportal:job:${job._id}</id>
+    <title>${escapeXml(`${job.title} - ${job.company}`)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(jobUrl(job))}" />
+    <published>${getGoLiveDate(job).toISOString()}</published>
+    <updated>${new Date(job.updatedAt).toISOString()}</updated>
+    <author><name>${escapeXml(job.company)}</name></author>
+    <summary>${escapeXml(summarizeJob(job))}</summary>
+${(job.skills || []).map(skill => `    <category term="${escapeXml(skill)}" />\n`).join('')}  </entry>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(feedTitle(filters))}</title>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(buildClientUrl('/jobs'))}" />
+  <updated>${(jobs.length > 0 ? updated : new Date()).toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+  });
+}
+
+/**
+ * XML sitemap of active job pages
+ * @returns {Promise<string>} XML
+ */
+async function getJobsSitemap() {
+  return getCached('sitemap', async () => {
+    const jobs = await Job.find({ status: 'active' })
+      .select('_id updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(SITEMAP_MAX_URLS)
+      .lean();
+
+    const urls = jobs.map(job => `  <url>
+    <loc>${escapeXml(jobUrl(job))}</loc>
+    <lastmod>${new Date(job.updatedAt).toISOString()}</lastmod>
+  </url>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+  });
+}
+
+/**
+ * schema.org JobPosting structured data for a job
+ * @param {Object} job - Job document (organization may be populated)
+ * @returns {Object} JSON-LD object
+ */
+function buildJobPostingJsonLd(job) {
+  const organization = job.organization && job.organization.name ? job.organization : null;
+  const salary = job.salary || {};
+
+  const jsonLd = {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.description,
+    identifier: {
+      '@type': 'PropertyValue',
+      name: job.company,
+      value: job._id.toString(),
+    },
+    url: jobUrl(job),
+    datePosted: getGoLiveDate(job).toISOString(),
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: job.company,
+      ...(organization?.website ? { sameAs: organization.website } : {}),
+    },
+  };
+
+  if (job.expiresAt) {
+    jsonLd.validThrough = job.expiresAt.toISOString();
+  }
+
+  if (job.employmentType) {
+    jsonLd.employmentType = SCHEMA_EMPLOYMENT_TYPES[job.employmentType] || 'OTHER';
+  }
+
+  if (job.location) {
+    jsonLd.jobLocation = {
+      '@type': 'Place',
+      address: { '@type': 'PostalAddress', addressLocality: job.location },
+    };
+  }
+
+  if (job.workplaceType === 'Remote') {
+    jsonLd.jobLocationType = 'TELECOMMUTE';
+  }
+
+  const hasMin = salary.min !== undefined && salary.min !== null;
+  const hasMax = salary.max !== undefined && salary.max !== null;
+  if (hasMin || hasMax) {
+    jsonLd.baseSalary = {
+      '@type': 'MonetaryAmount',
+      currency: salary.currency,
+      value: {
+        '@type': 'QuantitativeValue',
+        ...(hasMin ? { minValue: salary.min } : {}),
+        ...(hasMax ? { maxValue: salary.max } : {}),
+        unitText: 'YEAR',
+      },
+    };
+  }
+
+  if (job.skills && job.skills.length > 0) {
+    jsonLd.skills = job.skills.join(', ');
+  }
+
+  if (job.experience > 0) {
+    jsonLd.experienceRequirements = {
+      '@type': 'OccupationalExperienceRequirements',
+      monthsOfExperience: job.experience * 12,
+    };
+  }
+
+  return jsonLd;
+}
+
+module.exports = {
+  parseFeedFilters,
+  getJobsFingerprint,
+  getRssFeed,
+  getAtomFeed,
+  getJobsSitemap,
+  buildJobPostingJsonLd,
+};
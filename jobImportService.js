@@ -0,0 +1,355 @@
+const Job = require('./models/Job');
+const { can } = require('./middleware/permissions');
+const { recordAuditEvent, diffFields } = require('./auditService');
+const { parseCsv, toCsv, unescapeCsvValue } = require('./utils/csv');
+const { closeJobIfFull } = require('./jobLifecycleService');
+const { touchesRevisionFields, createRevision, ensureCurrentRevision } = require('./jobRevisionService');
+const { checkForDuplicates, needsDuplicateCheck } = require('./jobDuplicateService');
+
+/**
+ * Job Import Service - Bulk import and export of job postings
+ * CSV and JSON share one flat row format (see IMPORT_COLUMNS). List cells
+ * (requirements, skills) are separated with "|" in CSV. Rows carrying an
+ * externalRef update the organization's job with that reference, or create it;
+ * rows without one always create a new job. Empty cells leave a field unchanged.
+ */
+
+const JOB_IMPORT_MAX_ROWS = parseInt(process.env.JOB_IMPORT_MAX_ROWS) || 500;
+const LIST_SEPARATOR = '|';
+
+const IMPORT_COLUMNS = [
+  'externalRef',
+  'title',
+  'description',
+  'requirements',
+  'skills',
+  'experience',
+  'location',
+  'employmentType',
+  'workplaceType',
+  'salaryMin',
+  'salaryMax',
+  'salaryCurrency',
+  'status',
+  'publishAt',
+  'expiresAt',
+  'maxApplicants',
+];
+
+// "id" is included in exports for reference and ignored on import
+const EXPORT_COLUMNS = ['id', ...IMPORT_COLUMNS];
+
+const COLUMN_PATHS = {
+  salaryMin: 'salary.min',
+  salaryMax: 'salary.max',
+  salaryCurrency: 'salary.currency',
+};
+
+const NUMBER_COLUMNS = ['experience', 'salaryMin', 'salaryMax', 'maxApplicants'];
+const DATE_COLUMNS = ['publishAt', 'expiresAt'];
+const LIST_COLUMNS = ['requirements', 'skills'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Flatten a JSON job (shaped like a POST /api/jobs body) into an import row
+ * @param {Object} job - JSON job
+ * @returns {Object} Row keyed by import column
+ */
+function flattenJsonJob(job) {
+  const { salary, ...rest } = job || {};
+  return {
+    ...rest,
+    salaryMin: rest.salaryMin ?? salary?.min,
+    salaryMax: rest.salaryMax ?? salary?.max,
+    salaryCurrency: rest.salaryCurrency ?? salary?.currency,
+  };
+}
+
+/**
+ * Read import rows from an uploaded payload
+ * @param {string} format - "csv" or "json"
+ * @param {string|Object|Array} content - CSV text, JSON text, or parsed JSON
+ * @returns {Object} { rows: [{ row, line, values }] } or { error }
+ */
+function parseImportPayload(format, content) {
+  let rows;
+
+  if (format === 'csv') {
+    const { headers, records, error } = parseCsv(content);
+    if (error) {
+      return { error };
+    }
+
+    const unknown = headers.filter(header => !EXPORT_COLUMNS.includes(header));
+    if (unknown.length > 0) {
+      return { error: `Unknown columns: ${unknown.join(', ')}. Allowed columns: ${IMPORT_COLUMNS.join(', ')}` };
+    }
+
+    rows = records.map((record, index) => ({
+      row: index + 1,
+      line: record.line,
+      // Cells our own export neutralized as formulas come back as they were
+      values: Object.fromEntries(Object.entries(record.values).map(([header, value]) => [header, unescapeCsvValue(value)])),
+    }));
+  } else if (format === 'json') {
+    let data = content;
+    if (typeof content === 'string' || Buffer.isBuffer(content)) {
+      try {
+        data = JSON.parse(content.toString());
+      } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+      }
+    }
+
+    const jobs = Array.isArray(data) ? data : data?.jobs;
+    if (!Array.isArray(jobs)) {
+      return { error: 'JSON imports must be an array of jobs or { "jobs": [...] }' };
+    }
+    rows = jobs.map((job, index) => ({ row: index + 1, values: flattenJsonJob(job) }));
+  } else {
+    return { error: 'Import format must be csv or json' };
+  }
+
+  if (rows.length === 0) {
+    return { error: 'No jobs to import' };
+  }
+  if (rows.length > JOB_IMPORT_MAX_ROWS) {
+    return { error: `At most ${JOB_IMPORT_MAX_ROWS} jobs can be imported at once` };
+  }
+
+  return { rows };
+}
+
+/**
+ * Convert an import row into Job paths
+ * @param {Object} values - Row keyed by import column
+ * @returns {Object} { externalRef, fields: { path: value }, errors }
+ */
+function rowToJobFields(values) {
+  const fields = {};
+  const errors = [];
+
+  for (const column of IMPORT_COLUMNS) {
+    const value = values[column];
+    if (isBlank(value)) {
+      continue;
+    }
+
+    const path = COLUMN_PATHS[column] || column;
+
+    if (NUMBER_COLUMNS.includes(column)) {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        errors.push(`${column} must be a number`);
+        continue;
+      }
+      fields[path] = number;
+    } else if (DATE_COLUMNS.includes(column)) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        errors.push(`${column} must be a valid date`);
+        continue;
+      }
+      fields[path] = date;
+    } else if (LIST_COLUMNS.includes(column)) {
+      const items = Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR);
+      fields[path] = items.map(item => String(item).trim()).filter(Boolean);
+    } else {
+      fields[path] = String(value).trim();
+    }
+  }
+
+  return { externalRef: fields.externalRef, fields, errors };
+}
+
+/**
+ * Import jobs into an organization
+ * @param {Object} req - Express request (acting user, API key and audit context)
+ * @param {Object} params - { rows, organization, dryRun }
+ * @returns {Promise<Object>} { dryRun, summary, rows: per-row report (with duplicateWarnings or blocking duplicates) }
+ */
+async function importJobs(req, { rows, organization, dryRun }) {
+  const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0 };
+  const report = [];
+  const seenRefs = new Set();
+
+  for (const { row, line, values } of rows) {
+    const { externalRef, fields, errors } = rowToJobFields(values);
+    const result = { row, line, externalRef, action: null, jobId: null, errors };
+    report.push(result);
+
+    if (externalRef) {
+      if (seenRefs.has(externalRef)) {
+        errors.push(`Duplicate externalRef ${externalRef} in this import`);
+      }
+      seenRefs.add(externalRef);
+    }
+
+    const existing = externalRef
+      ? await Job.findOne({ organization: organization._id, externalRef })
+      : null;
+
+    if (existing && !(await can(req.user, 'job:update', existing, { apiKey: req.apiKey }))) {
+      errors.push('Not authorized to update this job');
+    }
+
+    if (errors.length > 0) {
+      result.action = 'error';
+      summary.failed++;
+      continue;
+    }
+
+    const job = existing || new Job({
+      company: organization.name,
+      organization: organization._id,
+      postedBy: req.user._id,
+      applicants: [],
+    });
+
+    // Jobs posted before revisions existed get their original content recorded first
+    if (existing && !dryRun) {
+      await ensureCurrentRevision(job);
+    }
+
+    const before = job.toObject();
+    Object.entries(fields).forEach(([path, value]) => job.set(path, value));
+
+    try {
+      await job.validate();
+    } catch (error) {
+      if (error.name !== 'ValidationError') {
+        throw error;
+      }
+      errors.push(...Object.values(error.errors).map(fieldError => fieldError.message));
+      result.action = 'error';
+      summary.failed++;
+      continue;
+    }
+
+    // Same duplicate policy as single job create/update (JOB_DUPLICATE_MODE)
+    if (needsDuplicateCheck(job)) {
+      const { duplicates, blocked } = await checkForDuplicates(job);
+      if (blocked) {
+        errors.push('A very similar job is already posted');
+        result.duplicates = duplicates;
+        result.action = 'error';
+        summary.failed++;
+        continue;
+      }
+      if (duplicates.length > 0) {
+        result.duplicateWarnings = duplicates;
+      }
+    }
+
+    const changes = existing
+      ? diffFields(before, job, [...new Set(Object.keys(fields).map(path => path.split('.')[0]))])
+      : [];
+
+    result.action = !existing ? 'create' : (changes.length > 0 ? 'update' : 'unchanged');
+    result.jobId = existing ? existing._id : null;
+
+    if (result.action === 'unchanged') {
+      summary.unchanged++;
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        await job.save();
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        errors.push(`A job with externalRef ${externalRef} already exists`);
+        result.action = 'error';
+        summary.failed++;
+        continue;
+      }
+
+      result.jobId = job._id;
+
+      if (!existing || touchesRevisionFields(changes)) {
+        await createRevision(req, job);
+      }
+      if (existing) {
+        await closeJobIfFull(req, job);
+      }
+
+      await recordAuditEvent(req, {
+        action: existing ? 'job.update' : 'job.create',
+        target: { type: 'Job', id: job._id },
+        changes,
+        metadata: { title: job.title, organization: organization._id, source: 'import', externalRef },
+      });
+    }
+
+    summary[existing ? 'updated' : 'created']++;
+  }
+
+  return { dryRun: !!dryRun, summary, rows: report };
+}
+
+/**
+ * Flat export row for a job
+ * @param {Object} job - Job document
+ * @returns {Object} Row keyed by export column
+ */
+function jobToRow(job) {
+  const salary = job.salary || {};
+  return {
+    id: job._id.toString(),
+    externalRef: job.externalRef,
+    title: job.title,
+    description: job.description,
+    requirements: (job.requirements || []).join(LIST_SEPARATOR),
+    skills: (job.skills || []).join(LIST_SEPARATOR),
+    experience: job.experience,
+    location: job.location,
+    employmentType: job.employmentType,
+    workplaceType: job.workplaceType,
+    salaryMin: salary.min,
+    salaryMax: salary.max,
+    salaryCurrency: salary.currency,
+    status: job.status,
+    publishAt: job.publishAt,
+    expiresAt: job.expiresAt,
+    maxApplicants: job.maxApplicants,
+  };
+}
+
+/**
+ * JSON export entry for a job (importable as-is)
+ * @param {Object} job - Job document
+ * @returns {Object}
+ */
+function jobToJson(job) {
+  const { salaryMin, salaryMax, salaryCurrency, ...row } = jobToRow(job);
+  return {
+    ...row,
+    requirements: [...(job.requirements || [])],
+    skills: [...(job.skills || [])],
+    salary: { min: salaryMin, max: salaryMax, currency: salaryCurrency },
+  };
+}
+
+/**
+ * Serialize jobs for export
+ * @param {Array<Object>} jobs - Job documents
+ * @param {string} format - "csv" or "json"
+ * @returns {string} File content
+ */
+function exportJobs(jobs, format) {
+  if (format === 'csv') {
+    return toCsv(EXPORT_COLUMNS, jobs.map(jobToRow));
+  }
+  return JSON.stringify({ jobs: jobs.map(jobToJson) }, null, 2);
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  parseImportPayload,
+  rowToJobFields,
+  importJobs,
+  exportJobs,
+};
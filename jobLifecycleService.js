@@ -0,0 +1,218 @@
+const Job = require('./models/Job');
+const { registerTask } = require('./scheduler');
+const { sendMail } = require('./mailService');
+const { recordAuditEvent } = require('./auditService');
+const { buildClientUrl, jobExpiringEmail } = require('./utils/emailTemplates');
+
+/**
+ * Job Lifecycle Service - Publishing, expiry and applicant caps
+ * The scheduler publishes drafts whose publishAt has passed, closes postings
+ * whose expiresAt has passed and reminds the posting recruiter before expiry.
+ * Each job is claimed with a conditional update, so running the tasks on
+ * several server instances never acts on the same job twice.
+ */
+
+const JOB_LIFECYCLE_INTERVAL_SECONDS = parseInt(process.env.JOB_LIFECYCLE_INTERVAL_SECONDS) || 60;
+const JOB_EXPIRY_REMINDER_HOURS = parseInt(process.env.JOB_EXPIRY_REMINDER_HOURS) || 72;
+const BATCH_SIZE = 100;
+
+/**
+ * Activate drafts that are due for publishing
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of jobs published
+ */
+async function publishDueJobs(now = new Date()) {
+  const due = {
+    status: 'draft',
+    publishAt: { $lte: now },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+  const jobs = await Job.find(due).select('_id title').limit(BATCH_SIZE);
+
+  let published = 0;
+  for (const job of jobs) {
+    const result = await Job.updateOne({ _id: job._id, ...due }, { status: 'active' });
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+
+    published++;
+    await recordAuditEvent(null, {
+      action: 'job.publish',
+      target: { type: 'Job', id: job._id },
+      changes: [{ field: 'status', before: 'draft', after: 'active' }],
+      metadata: { title: job.title, scheduled: true },
+    });
+  }
+
+  return published;
+}
+
+/**
+ * Close a posting unless it is already closed
+ * @param {Object} condition - Extra conditions the job must still meet
+ * @param {string} reason - One of Job.CLOSED_REASONS
+ * @returns {Promise<boolean>} Whether the job was closed
+ */
+async function closeJob(condition, reason) {
+  const result = await Job.updateOne(
+    { status: 'active', ...condition },
+    { status: 'closed', closedAt: new Date(), closedReason: reason }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Close active postings whose expiry date has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of jobs closed
+ */
+async function closeExpiredJobs(now = new Date()) {
+  const jobs = await Job.find({ status: 'active', expiresAt: { $lte: now } })
+    .select('_id title')
+    .limit(BATCH_SIZE);
+
+  let closed = 0;
+  for (const job of jobs) {
+    if (!(await closeJob({ _id: job._id, expiresAt: { $lte: now } }, 'expired'))) {
+      continue;
+    }
+
+    closed++;
+    await recordAuditEvent(null, {
+      action: 'job.close',
+      target: { type: 'Job', id: job._id },
+      changes: [{ field: 'status', before: 'active', after: 'closed' }],
+      metadata: { title: job.title, reason: 'expired' },
+    });
+  }
+
+  return closed;
+}
+
+/**
+ * Email the posting recruiter once when a job is about to expire
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendExpiryReminders(now = new Date()) {
+  const reminderWindow = new Date(now.getTime() + JOB_EXPIRY_REMINDER_HOURS * 60 * 60 * 1000);
+  const due = {
+    status: 'active',
+    expiresAt: { $gt: now, $lte: reminderWindow },
+    expiryReminderSentAt: null,
+  };
+
+  let reminded = 0;
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const job = await Job.findOneAndUpdate(due, { expiryReminderSentAt: now }, { new: true })
+      .populate('postedBy', 'name email');
+    if (!job) {
+      break;
+    }
+
+    if (!job.postedBy?.email) {
+      continue;
+    }
+
+    try {
+      await sendMail({
+        to: job.postedBy.email,
+        ...jobExpiringEmail({
+          name: job.postedBy.name,
+          jobTitle: job.title,
+          expiresAt: job.expiresAt,
+          jobUrl: buildClientUrl(`/jobs/${job._id}`),
+        }),
+      });
+      reminded++;
+    } catch (mailError) {
+      console.error('Error sending job expiry reminder:', mailError);
+    }
+  }
+
+  return reminded;
+}
+
+/**
+ * Add a candidate to a job's applicants if it is still open and below its cap
+ * @param {string} jobId - Job ID
+ * @param {string} userId - Candidate user ID
+ * @returns {Promise<Object|null>} Updated job, or null if the job no longer accepts applications
+ */
+async function reserveApplicantSlot(jobId, userId) {
+  return Job.findOneAndUpdate(
+    {
+      _id: jobId,
+      status: 'active',
+      $or: [
+        { maxApplicants: null },
+        { $expr: { $lt: [{ $size: '$applicants' }, '$maxApplicants'] } },
+      ],
+    },
+    { $addToSet: { applicants: userId } },
+    { new: true }
+  );
+}
+
+/**
+ * Give back a slot taken by reserveApplicantSlot (e.g. when saving the application failed)
+ * @param {string} jobId - Job ID
+ * @param {string} userId - Candidate user ID
+ * @returns {Promise<void>}
+ */
+async function releaseApplicantSlot(jobId, userId) {
+  await Job.updateOne({ _id: jobId }, { $pull: { applicants: userId } });
+}
+
+/**
+ * Close a job once its applicant cap has been reached
+ * @param {Object} req - Express request that triggered the check (for the audit trail)
+ * @param {Object} job - Job document
+ * @returns {Promise<boolean>} Whether the job was closed
+ */
+async function closeJobIfFull(req, job) {
+  if (!job.maxApplicants || job.applicants.length < job.maxApplicants) {
+    return false;
+  }
+
+  const closed = await closeJob({
+    _id: job._id,
+    $expr: { $gte: [{ $size: '$applicants' }, '$maxApplicants'] },
+  }, 'applicant-cap');
+
+  if (closed) {
+    await recordAuditEvent(req, {
+      action: 'job.close',
+      target: { type: 'Job', id: job._id },
+      changes: [{ field: 'status', before: 'active', after: 'closed' }],
+      metadata: { title: job.title, reason: 'applicant-cap', maxApplicants: job.maxApplicants },
+    });
+  }
+
+  return closed;
+}
+
+/**
+ * Register the lifecycle task with the scheduler
+ */
+function registerJobLifecycleTasks() {
+  registerTask('job-lifecycle', JOB_LIFECYCLE_INTERVAL_SECONDS * 1000, async () => {
+    const now = new Date();
+    return {
+      published: await publishDueJobs(now),
+      closed: await closeExpiredJobs(now),
+      reminded: await sendExpiryReminders(now),
+    };
+  });
+}
+
+module.exports = {
+  publishDueJobs,
+  closeExpiredJobs,
+  sendExpiryReminders,
+  reserveApplicantSlot,
+  releaseApplicantSlot,
+  closeJobIfFull,
+  registerJobLifecycleTasks,
+};
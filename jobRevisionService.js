@@ -0,0 +1,171 @@
+const Job = require('./models/Job');
+const JobRevision = require('./models/JobRevision');
+const { recordAuditEvent, diffFields } = require('./auditService');
+
+/**
+ * Job Revision Service - Versioned history of job posting content
+ * Only what candidates read is versioned; lifecycle fields (status, dates,
+ * applicant cap) and ownership are not part of a revision.
+ */
+
+const REVISION_FIELDS = [
+  'title',
+  'description',
+  'requirements',
+  'skills',
+  'experience',
+  'location',
+  'employmentType',
+  'workplaceType',
+  'salary',
+];
+
+const MAX_VERSION_RETRIES = 3;
+
+/**
+ * Copy the versioned content of a job
+ * @param {Object} job - Job document
+ * @returns {Object} Snapshot
+ */
+function snapshotJob(job) {
+  const salary = job.salary || {};
+  return {
+    title: job.title,
+    description: job.description,
+    requirements: [...(job.requirements || [])],
+    skills: [...(job.skills || [])],
+    experience: job.experience,
+    location: job.location,
+    employmentType: job.employmentType,
+    workplaceType: job.workplaceType,
+    salary: { min: salary.min, max: salary.max, currency: salary.currency },
+  };
+}
+
+/**
+ * Whether a set of audit changes touches versioned content
+ * @param {Array<Object>} changes - [{ field }] from diffFields
+ * @returns {boolean}
+ */
+function touchesRevisionFields(changes) {
+  return changes.some(change => REVISION_FIELDS.includes(change.field.split('.')[0]));
+}
+
+/**
+ * Store the job's current content as its newest revision
+ * @param {Object} req - Express request (editor), or null for system changes
+ * @param {Object} job - Job document (already saved)
+ * @param {Object} options - { editedBy, restoredFrom }
+ * @returns {Promise<Object>} JobRevision document
+ */
+async function createRevision(req, job, { editedBy, restoredFrom } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await JobRevision.findOne({ job: job._id }).sort({ version: -1 }).select('version');
+
+    try {
+      const revision = await JobRevision.create({
+        job: job._id,
+        version: (latest ? latest.version : 0) + 1,
+        snapshot: snapshotJob(job),
+        editedBy: editedBy || req?.user?._id || null,
+        restoredFrom,
+      });
+
+      await Job.updateOne({ _id: job._id }, { currentRevision: revision._id });
+      job.currentRevision = revision._id;
+      return revision;
+    } catch (error) {
+      // Another edit took this version number - try the next one
+      if (error.code !== 11000 || attempt >= MAX_VERSION_RETRIES) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Current revision of a job, creating the first one for jobs posted before revisions existed
+ * @param {Object} job - Job document
+ * @returns {Promise<string>} JobRevision ID
+ */
+async function ensureCurrentRevision(job) {
+  if (job.currentRevision) {
+    return job.currentRevision;
+  }
+
+  const revision = await createRevision(null, job, { editedBy: job.postedBy?._id || job.postedBy });
+  return revision._id;
+}
+
+/**
+ * All revisions of a job, newest first, each with the changes since the previous one
+ * @param {Object} job - Job document
+ * @returns {Promise<Array<Object>>} Revisions with { changes, current }
+ */
+async function getRevisions(job) {
+  const revisions = await JobRevision.find({ job: job._id })
+    .populate('editedBy', 'name email')
+    .sort({ version: 1 })
+    .lean();
+
+  let previous = null;
+  const history = revisions.map(revision => {
+    const entry = {
+      ...revision,
+      current: !!job.currentRevision && revision._id.toString() === job.currentRevision.toString(),
+      changes: previous ? diffFields(previous.snapshot, revision.snapshot, REVISION_FIELDS) : [],
+    };
+    previous = revision;
+    return entry;
+  });
+
+  return history.reverse();
+}
+
+/**
+ * Restore a job's content from an earlier revision (recorded as a new revision)
+ * @param {Object} req - Express request
+ * @param {Object} job - Job document
+ * @param {number} version - Revision number to restore
+ * @returns {Promise<Object>} { job, revision, changes } or { error, status }
+ */
+async function restoreRevision(req, job, version) {
+  const revision = await JobRevision.findOne({ job: job._id, version });
+  if (!revision) {
+    return { error: 'Revision not found', status: 404 };
+  }
+
+  // Keep the pre-restore content of jobs that have no history yet
+  await ensureCurrentRevision(job);
+
+  const before = snapshotJob(job);
+  const snapshot = revision.snapshot.toObject();
+  REVISION_FIELDS.forEach(field => job.set(field, snapshot[field]));
+
+  const changes = diffFields(before, snapshotJob(job), REVISION_FIELDS);
+  if (changes.length === 0) {
+    return { job, revision: null, changes };
+  }
+
+  await job.save();
+  const restored = await createRevision(req, job, { restoredFrom: revision.version });
+
+  await recordAuditEvent(req, {
+    action: 'job.restore',
+    target: { type: 'Job', id: job._id },
+    changes,
+    metadata: { restoredFrom: revision.version, version: restored.version },
+  });
+
+  return { job, revision: restored, changes };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotJob,
+  touchesRevisionFields,
+  createRevision,
+  ensureCurrentRevision,
+  getRevisions,
+  restoreRevision,
+};
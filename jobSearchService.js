@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Job = require('./models/Job');
+const { encodeCursor, decodeCursor } = require('./utils/pagination');
+const { BASE_CURRENCY, isSupportedCurrency, toBaseCurrency } = require('./utils/currency');
+const { EMPLOYMENT_TYPES, WORKPLACE_TYPES } = require('./config/jobOptions');
+
+/**
+ * Job Search Service - Filtering, sorting and cursor pagination for job listings
+ * Pages are fetched with keyset pagination on (sort key, _id), so deep pages
+ * cost the same as the first one.
+ */
+
+// type is the kind of sort value a cursor may carry for the field
+const SORT_OPTIONS = {
+  newest: { field: 'createdAt', order: -1, type: 'date' },
+  salary: { field: 'salary.normalizedMax', order: -1, type: 'number' },
+  experience: { field: 'experience', order: 1, type: 'number' },
+  relevance: { field: 'score', order: -1, type: 'number' },
+};
+
+const MAX_TEXT_TERMS = 32;
+const MAX_TEXT_TERM_LENGTH = 64;
+
+/**
+ * Parse the salary range filter into base-currency bounds
+ * @param {Object} params - { minSalary, maxSalary, salaryCurrency }
+ * @returns {Object} { min, max } in the base currency, or { error }
+ */
+function parseSalaryFilter({ minSalary, maxSalary, salaryCurrency }) {
+  const currency = salaryCurrency ? String(salaryCurrency).toUpperCase() : BASE_CURRENCY;
+  if (!isSupportedCurrency(currency)) {
+    return { error: `Unsupported salary currency: ${currency}` };
+  }
+
+  const bounds = {};
+  for (const [key, raw] of Object.entries({ min: minSalary, max: maxSalary })) {
+    if (raw === undefined || raw === '') continue;
+    const amount = Number(raw);
+    if (isNaN(amount) || amount < 0) {
+      return { error: `${key === 'min' ? 'minSalary' : 'maxSalary'} must be a non-negative number` };
+    }
+    bounds[key] = toBaseCurrency(amount, currency);
+  }
+
+  if (bounds.min !== undefined && bounds.max !== undefined && bounds.min > bounds.max) {
+    return { error: 'minSalary cannot be greater than maxSalary' };
+  }
+
+  return bounds;
+}
+
+/**
+ * Build the MongoDB filter shared by the listing and search routes
+ * @param {Object} params - {
+ *   location, skills, company, employmentType, workplaceType,
+ *   minExperience, minSalary, maxSalary, salaryCurrency
+ * }
+ * @returns {Object} { filter } or { error } for invalid parameters
+ */
+function buildJobFilters({
+  location, skills, company, employmentType, workplaceType,
+  minExperience, minSalary, maxSalary, salaryCurrency,
+}) {
+  // Listings are public - drafts (scheduled or unpublished) and closed jobs never show up
+  const query = { status: 'active' };
+
+  if (location) {
+    query.location = { $regex: escapeRegex(location), $options: 'i' };
+  }
+
+  if (skills) {
+    const skillArray = Array.isArray(skills) ? skills : skills.split(',');
+    query.skills = { $in: skillArray };
+  }
+
+  if (company) {
+    const companies = Array.isArray(company) ? company : company.split(',');
+    query.company = { $in: companies.map(name => name.trim()).filter(Boolean) };
+  }
+
+  for (const [field, value, allowed] of [
+    ['employmentType', employmentType, EMPLOYMENT_TYPES],
+    ['workplaceType', workplaceType, WORKPLACE_TYPES],
+  ]) {
+    if (!value) continue;
+    const values = (Array.isArray(value) ? value : value.split(',')).map(item => item.trim()).filter(Boolean);
+    const invalid = values.filter(item => !allowed.includes(item));
+    if (invalid.length > 0) {
+      return { error: `Invalid ${field}: ${invalid.join(', ')}. Must be one of: ${allowed.join(', ')}` };
+    }
+    query[field] = { $in: values };
+  }
+
+  if (minExperience) {
+    query.experience = { $lte: parseInt(minExperience) };
+  }
+
+  // Jobs whose salary range overlaps the requested one, compared in the base currency
+  const salaryRange = parseSalaryFilter({ minSalary, maxSalary, salaryCurrency });
+  if (salaryRange.error) {
+    return { error: salaryRange.error };
+  }
+  if (salaryRange.min !== undefined) {
+    query['salary.normalizedMax'] = { $gte: salaryRange.min };
+  }
+  if (salaryRange.max !== undefined) {
+    query['salary.normalizedMin'] = { $lte: salaryRange.max };
+  }
+
+  return { filter: query };
+}
+
+/**
+ * Escape a user-supplied term for use inside a regular expression
+ * @param {string} term - Raw term
+ * @returns {string} Escaped term
+ */
+function escapeRegex(term) {
+  return String(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn user search terms into a safe $text search string
+ * Quotes and backslashes are removed and leading dashes dropped, so user input
+ * cannot form phrases or negations; the terms are matched as plain words.
+ * @param {Array<string>} terms - Search terms or phrases
+ * @returns {string|null} $search value, or null when nothing searchable is left
+ */
+function buildTextSearch(terms) {
+  const words = [];
+  const seen = new Set();
+
+  for (const term of terms || []) {
+    if (!term) continue;
+    for (const word of String(term).split(/\s+/)) {
+      const cleaned = word.replace(/["\\]/g, '').replace(/^-+/, '').slice(0, MAX_TEXT_TERM_LENGTH);
+      const key = cleaned.toLowerCase();
+      if (cleaned && !seen.has(key)) {
+        seen.add(key);
+        words.push(cleaned);
+      }
+    }
+  }
+
+  return words.length > 0 ? words.slice(0, MAX_TEXT_TERMS).join(' ') : null;
+}
+
+/**
+ * Condition selecting the documents after the cursor position
+ * Missing sort values (null) sort first ascending and last descending.
+ * @param {string} field - Sort field
+ * @param {number} order - 1 or -1
+ * @param {*} value - Sort value of the last item of the previous page
+ * @param {ObjectId} id - _id of the last item of the previous page
+ * @returns {Object} MongoDB condition
+ */
+function buildKeysetCondition(field, order, value, id) {
+  const comparison = order === -1 ? '$lt' : '$gt';
+
+  if (value === null || value === undefined) {
+    if (order === -1) {
+      return { [field]: null, _id: { $lt: id } };
+    }
+    return { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+  }
+
+  const conditions = [
+    { [field]: { [comparison]: value } },
+    { [field]: value, _id: { [comparison]: id } },
+  ];
+  if (order === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+}
+
+/**
+ * Check a cursor's sort value before it goes into a query
+ * Cursors come back from clients, so anything but a plain value of the sort
+ * field's type (e.g. an object smuggling in a query operator) is rejected.
+ * @param {*} value - Sort value from a decoded cursor
+ * @param {string} type - "date" or "number" (see SORT_OPTIONS)
+ * @returns {boolean}
+ */
+function isValidCursorValue(value, type) {
+  if (value === null) {
+    return true;
+  }
+  if (type === 'date') {
+    return value instanceof Date && !isNaN(value.getTime());
+  }
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Fetch one page of jobs
+ * @param {Object} params - {
+ *   filter: MongoDB filter,
+ *   sort: newest | salary | experience | relevance (default: relevance for text searches, else newest),
+ *   order: asc | desc (default depends on the sort),
+ *   limit: page size,
+ *   cursor: cursor from the previous page
+ * }
+ * @returns {Promise<Object>} { jobs, total, sort, order, nextCursor } or { error, status }
+ */
+async function findJobsPage({ filter, sort, order, limit, cursor }) {
+  const isTextSearch = !!filter.$text;
+  const sortName = sort || (isTextSearch ? 'relevance' : 'newest');
+  const sortOption = SORT_OPTIONS[sortName];
+  if (!sortOption) {
+    return { error: `Invalid sort. Must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`, status: 400 };
+  }
+  if (sortName === 'relevance' && !isTextSearch) {
+    return { error: 'Sorting by relevance requires a search query', status: 400 };
+  }
+  if (order && !['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Must be asc or desc', status: 400 };
+  }
+
+  const direction = order ? (order === 'asc' ? 1 : -1) : sortOption.order;
+  const { field, type } = sortOption;
+
+  // $text has to be matched in the first stage; its score then drives relevance
+  const pipeline = [{ $match: filter }];
+  if (isTextSearch) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position || position.s !== sortName || position.o !== direction
+      || !mongoose.isValidObjectId(position.id) || !isValidCursorValue(position.v, type)) {
+      return { error: 'Invalid cursor', status: 400 };
+    }
+    pipeline.push({
+      $match: buildKeysetCondition(field, direction, position.v, new mongoose.Types.ObjectId(position.id)),
+    });
+  }
+
+  pipeline.push(
+    { $sort: { [field]: direction, _id: direction } },
+    { $limit: limit + 1 },
+    // Aggregation ignores select: false and the toJSON transform - drop internal fields here
+    { $project: { duplicateFingerprint: 0 } }
+  );
+
+  const [jobs, total] = await Promise.all([
+    Job.aggregate(pipeline),
+    Job.countDocuments(filter),
+  ]);
+
+  let nextCursor = null;
+  if (jobs.length > limit) {
+    jobs.pop();
+    const last = jobs[jobs.length - 1];
+    const value = field.split('.').reduce((current, key) => (current == null ? current : current[key]), last);
+    nextCursor = encodeCursor({ s: sortName, o: direction, v: value === undefined ? null : value, id: last._id.toString() });
+  }
+
+  await Job.populate(jobs, { path: 'postedBy', select: 'name email' });
+
+  return {
+    jobs,
+    total,
+    sort: sortName,
+    order: direction === 1 ? 'asc' : 'desc',
+    nextCursor,
+  };
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  buildJobFilters,
+  buildTextSearch,
+  escapeRegex,
+  findJobsPage,
+};
@@ -0,0 +1,187 @@
+const LoginAttempt = require('./models/LoginAttempt');
+const { sendMail } = require('./mailService');
+const { buildClientUrl, accountLockedEmail } = require('./utils/emailTemplates');
+
+/**
+ * Login Protection Service - Brute-force protection for password logins
+ * Failed attempts are counted per account and per IP address in MongoDB so
+ * limits hold across server instances:
+ * - after LOGIN_DELAY_AFTER failures each further attempt must wait an
+ *   exponentially growing delay (capped at LOGIN_MAX_DELAY_SECONDS)
+ * - after LOGIN_MAX_ATTEMPTS failures the account is locked for LOGIN_LOCKOUT_MINUTES
+ * - after LOGIN_IP_MAX_ATTEMPTS failures an IP address is blocked for the same time
+ */
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50;
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+/**
+ * Delay required before the next attempt after a number of failures
+ * @param {number} failures - Consecutive failures so far
+ * @returns {number} Delay in milliseconds
+ */
+function getProgressiveDelay(failures) {
+  if (failures < LOGIN_DELAY_AFTER) {
+    return 0;
+  }
+  const seconds = Math.min(2 ** (failures - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_SECONDS);
+  return seconds * 1000;
+}
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} params - { email, ip }
+ * @returns {Promise<Object>} { allowed, reason, retryAfter } - retryAfter in seconds
+ */
+async function checkLoginAllowed({ email, ip }) {
+  const now = Date.now();
+  const [accountAttempt, ipAttempt] = await Promise.all([
+    LoginAttempt.findOne({ key: accountKey(email) }),
+    ip ? LoginAttempt.findOne({ key: ipKey(ip) }) : null,
+  ]);
+
+  if (ipAttempt && ipAttempt.lockedUntil && ipAttempt.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'ip-blocked',
+      retryAfter: Math.ceil((ipAttempt.lockedUntil.getTime() - now) / 1000),
+    };
+  }
+
+  if (accountAttempt) {
+    if (accountAttempt.lockedUntil && accountAttempt.lockedUntil.getTime() > now) {
+      return {
+        allowed: false,
+        reason: 'locked',
+        retryAfter: Math.ceil((accountAttempt.lockedUntil.getTime() - now) / 1000),
+      };
+    }
+
+    const nextAllowedAt = accountAttempt.lastFailureAt
+      ? accountAttempt.lastFailureAt.getTime() + getProgressiveDelay(accountAttempt.failures)
+      : 0;
+    if (nextAllowedAt > now) {
+      return {
+        allowed: false,
+        reason: 'throttled',
+        retryAfter: Math.ceil((nextAllowedAt - now) / 1000),
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Increment the failure counter for a key, starting a new window when the old one lapsed
+ * @param {string} key - Attempt key
+ * @returns {Promise<Object>} Updated attempt document
+ */
+async function incrementFailures(key) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+  const expiresAt = new Date(now.getTime() + (LOGIN_ATTEMPT_WINDOW_MINUTES + LOGIN_LOCKOUT_MINUTES) * 60 * 1000);
+
+  // Start over when the window has passed without a lock, or when a lock has expired
+  await LoginAttempt.updateOne(
+    {
+      key,
+      $or: [
+        { lastFailureAt: { $lt: windowStart }, lockedUntil: null },
+        { lockedUntil: { $lt: now } },
+      ],
+    },
+    { $set: { failures: 0, firstFailureAt: now }, $unset: { lockedUntil: 1, lockNotifiedAt: 1 } }
+  );
+
+  return LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt },
+      $setOnInsert: { firstFailureAt: now },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Record a failed login and lock the account or IP when limits are reached
+ * @param {Object} params - { email, ip, user } - user is the matched account, if any
+ * @returns {Promise<Object>} { locked, lockedUntil }
+ */
+async function recordFailedLogin({ email, ip, user }) {
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+  if (ip) {
+    const ipAttempt = await incrementFailures(ipKey(ip));
+    if (ipAttempt.failures >= LOGIN_IP_MAX_ATTEMPTS && !ipAttempt.lockedUntil) {
+      await LoginAttempt.updateOne({ _id: ipAttempt._id }, { lockedUntil });
+      console.warn(`Login blocked for IP ${ip} after ${ipAttempt.failures} failed attempts`);
+    }
+  }
+
+  const accountAttempt = await incrementFailures(accountKey(email));
+  if (accountAttempt.failures < LOGIN_MAX_ATTEMPTS) {
+    return { locked: false };
+  }
+
+  // Only the request that crosses the threshold locks the account and sends the notice
+  const locked = await LoginAttempt.findOneAndUpdate(
+    { _id: accountAttempt._id, lockNotifiedAt: null },
+    { lockedUntil, lockNotifiedAt: new Date() },
+    { new: true }
+  );
+
+  if (locked && user) {
+    console.warn(`Account ${user.email} locked after ${accountAttempt.failures} failed login attempts`);
+    try {
+      await sendMail({
+        to: user.email,
+        ...accountLockedEmail({
+          name: user.name,
+          lockedUntil,
+          resetUrl: buildClientUrl('/forgot-password'),
+        }),
+      });
+    } catch (mailError) {
+      console.error('Error sending account lockout email:', mailError);
+    }
+  }
+
+  return { locked: true, lockedUntil: locked ? locked.lockedUntil : accountAttempt.lockedUntil };
+}
+
+/**
+ * Clear the account counter after a successful login
+ * @param {Object} params - { email }
+ * @returns {Promise<void>}
+ */
+async function recordSuccessfulLogin({ email }) {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+}
+
+/**
+ * Remove any lock or failure history for an account
+ * @param {string} email - Account email
+ * @returns {Promise<boolean>} Whether a lock/counter existed
+ */
+async function unlockAccount(email) {
+  const result = await LoginAttempt.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+  getProgressiveDelay,
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail Service - Sends email through a pluggable transport
+ * The transport is selected with MAIL_TRANSPORT:
+ * - console: print messages to the server log (default in development only,
+ *   because messages contain live reset, verification and invitation links)
+ * - file: write each message as JSON to MAIL_OUTBOX_DIR (local development and tests)
+ * - smtp: deliver through nodemailer using SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ * Additional transports can be added with registerTransport().
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Job Portal <no-reply@jobportal.local>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+
+let smtpTransporter = null;
+
+const transports = {
+  console: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { transport: 'console' };
+  },
+
+  file: async (message) => {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    const filePath = path.join(MAIL_OUTBOX_DIR, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+    return { transport: 'file', path: filePath };
+  },
+
+  smtp: async (message) => {
+    // Lazy initialization so nodemailer is only required when SMTP is used
+    if (!smtpTransporter) {
+      const nodemailer = require('nodemailer');
+      smtpTransporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        } : undefined,
+      });
+    }
+
+    const info = await smtpTransporter.sendMail(message);
+    return { transport: 'smtp', messageId: info.messageId };
+  },
+};
+
+/**
+ * Register a custom mail transport
+ * @param {string} name - Transport name (matched against MAIL_TRANSPORT)
+ * @param {Function} send - async (message) => result
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Name of the configured transport
+ * Falls back to console only when NODE_ENV is development (or unset).
+ * @returns {string}
+ */
+function getTransportName() {
+  if (process.env.MAIL_TRANSPORT) {
+    return process.env.MAIL_TRANSPORT;
+  }
+  const environment = process.env.NODE_ENV || 'development';
+  if (environment !== 'development') {
+    throw new Error(`MAIL_TRANSPORT must be set when NODE_ENV is ${environment}`);
+  }
+  return 'console';
+}
+
+/**
+ * Fail fast at startup when no usable mail transport is configured
+ * @throws {Error} When MAIL_TRANSPORT is missing outside development or unknown
+ */
+function assertMailConfigured() {
+  const transportName = getTransportName();
+  if (!transports[transportName]) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+}
+
+/**
+ * Send an email using the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Transport-specific result
+ */
+async function sendMail(message) {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  return transport({
+    from: MAIL_FROM,
+    ...message,
+  });
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  assertMailConfigured,
+};
@@ -1,11 +1,57 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { verifyToken } = require('../utils/jwt');
+const { getActiveSession } = require('../tokenService');
+const { isTwoFactorSetupRequired } = require('../twoFactorService');
+const { isApiKey, verifyApiKey } = require('../apiKeyService');
 
-const auth = async (req, res, next) => {
+/**
+ * Authenticate a request made with an API key
+ * @param {string} key - Raw API key
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await verifyApiKey(key, req.ip);
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Invalid or revoked API key' });
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or revoked API key' });
+  }
+
+  // The key acts as its creator, limited by its scopes (see middleware/permissions.js)
+  req.user = user;
+  req.userId = user._id.toString();
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Create the authentication middleware
+ * @param {Object} options - {
+ *   allowTwoFactorSetup: let users who still have to enroll in 2FA through,
+ *   allowApiKey: also accept API keys (X-API-Key header or "Bearer jp_...")
+ * }
+ * @returns {Function} Express middleware
+ */
+const authenticate = (options = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.header('Authorization');
+    const apiKeyHeader = req.header('X-API-Key');
+    const bearerValue = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+
+    if (apiKeyHeader || isApiKey(bearerValue)) {
+      if (!options.allowApiKey) {
+        return res.status(401).json({ message: 'API keys cannot be used for this endpoint' });
+      }
+      // Awaited so lookup failures reach the catch below instead of leaving the request hanging
+      return await authenticateApiKey(apiKeyHeader || bearerValue, req, res, next);
+    }
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ message: 'No token provided, authorization denied' });
@@ -19,6 +65,12 @@ const auth = async (req, res, next) => {
 
     // Verify token
     const decoded = verifyToken(token);
+
+    // Reject tokens whose session was revoked (logout, device sign-out, reuse detection)
+    const session = await getActiveSession(decoded.sid, req);
+    if (!session) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
     
     // Find user
     const user = await User.findById(decoded.userId).select('-password');
@@ -27,9 +79,18 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'User not found' });
     }
 
+    // Users whose role requires 2FA may only reach the enrollment routes until they enroll
+    if (!options.allowTwoFactorSetup && await isTwoFactorSetupRequired(user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up for your account',
+        error: 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
     // Attach user to request
     req.user = user;
     req.userId = decoded.userId;
+    req.sessionId = session._id.toString();
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -42,14 +103,39 @@ const auth = async (req, res, next) => {
   }
 };
 
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    next();
-  };
+const auth = authenticate();
+
+// For endpoints that integrations may call with an API key
+const authWithApiKey = authenticate({ allowApiKey: true });
+
+/**
+ * Authenticate when credentials are sent, otherwise continue anonymously
+ * For public endpoints that show more to signed-in users. Credentials that
+ * are sent must be valid - a bad token is rejected, not ignored.
+ */
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization') && !req.header('X-API-Key')) {
+    return next();
+  }
+  return authWithApiKey(req, res, next);
+};
+
+// Email verification can be switched off for local development
+const EMAIL_VERIFICATION_REQUIRED = process.env.EMAIL_VERIFICATION_REQUIRED !== 'false';
+
+/**
+ * Restrict a route to users who have confirmed their email address
+ * Must be used after auth
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (EMAIL_VERIFICATION_REQUIRED && !req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address to continue',
+      error: 'EMAIL_NOT_VERIFIED',
+    });
+  }
+  next();
 };
 
-module.exports = { auth, authorize };
+module.exports = { auth, authWithApiKey, optionalAuth, authenticate, requireVerifiedEmail };
 
@@ -0,0 +1,202 @@
+const Organization = require('../models/Organization');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const { ROLE_PERMISSIONS, ORGANIZATION_ROLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Central policy layer
+ * Every router asks can()/requirePermission() instead of comparing
+ * job.postedBy with the current user by hand.
+ */
+
+/**
+ * Whether an organization member's role grants a permission
+ * @param {Object} user - User document
+ * @param {Object} organization - Organization document
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function checkOrganizationScope(user, organization, permission) {
+  if (!organization) {
+    return false;
+  }
+  const role = organization.getMemberRole(user._id);
+  return !!role && ORGANIZATION_ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Scope check for a job - via its organization, or the posting recruiter for
+ * jobs created before organizations existed
+ * @param {Object} user - User document
+ * @param {Object} job - Job document (organization may be populated)
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>}
+ */
+async function checkJobScope(user, job, permission) {
+  if (job.organization) {
+    const organization = job.organization.members
+      ? job.organization
+      : await Organization.findById(job.organization);
+    return checkOrganizationScope(user, organization, permission);
+  }
+
+  const postedBy = job.postedBy?._id || job.postedBy;
+  return !!postedBy && postedBy.toString() === user._id.toString();
+}
+
+const isSameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Scope checks by resource model
+const scopeChecks = {
+  Job: checkJobScope,
+
+  Organization: async (user, organization, permission) => checkOrganizationScope(user, organization, permission),
+
+  Application: async (user, application, permission) => {
+    // Candidates can read their own applications
+    if (permission === 'application:read' && isSameId(application.candidate, user._id)) {
+      return true;
+    }
+    const job = application.job?.postedBy
+      ? application.job
+      : await Job.findById(application.job);
+    return !!job && checkJobScope(user, job, permission);
+  },
+
+  Resume: async (user, resume, permission) => {
+    if (isSameId(resume.userId, user._id)) {
+      return true;
+    }
+    if (permission !== 'resume:download') {
+      return false;
+    }
+    // Recruiters may download resumes of candidates who applied to jobs they can access
+    const applications = await Application.find({ candidate: resume.userId }).populate('job');
+    for (const application of applications) {
+      if (application.job && await checkJobScope(user, application.job, permission)) {
+        return true;
+      }
+    }
+    return false;
+  },
+};
+
+/**
+ * Organization a resource belongs to (for organization-bound API keys)
+ * @param {Object} resource - Mongoose document
+ * @returns {Promise<string|null>} Organization ID
+ */
+async function getResourceOrganizationId(resource) {
+  const modelName = resource.constructor?.modelName;
+  const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+  if (modelName === 'Organization') {
+    return idOf(resource._id);
+  }
+  if (modelName === 'Job') {
+    return idOf(resource.organization);
+  }
+  if (modelName === 'Application') {
+    const job = resource.job?.postedBy ? resource.job : await Job.findById(resource.job);
+    return job ? idOf(job.organization) : null;
+  }
+  return null;
+}
+
+/**
+ * Restrictions applied on top of the user's permissions when an API key is used
+ * @param {Object} apiKey - ApiKey document
+ * @param {string} permission - Permission name
+ * @param {Object} resource - Mongoose document (optional)
+ * @returns {Promise<boolean>}
+ */
+async function checkApiKeyScope(apiKey, permission, resource) {
+  if (!apiKey.scopes.includes(permission)) {
+    return false;
+  }
+  if (!apiKey.organization || !resource) {
+    return true;
+  }
+
+  // Organization keys only reach that organization's resources
+  if (resource.constructor?.modelName === 'Resume') {
+    const applications = await Application.find({ candidate: resource.userId }).populate('job');
+    return applications.some(application => application.job
+      && application.job.organization?.toString() === apiKey.organization.toString());
+  }
+  return (await getResourceOrganizationId(resource)) === apiKey.organization.toString();
+}
+
+/**
+ * Check whether a user may perform an action, optionally on a resource
+ * @param {Object} user - User document
+ * @param {string} permission - Permission name, e.g. "job:update"
+ * @param {Object} resource - Mongoose document the action targets (optional)
+ * @param {Object} context - { apiKey } when the request was made with an API key
+ * @returns {Promise<boolean>}
+ */
+async function can(user, permission, resource = null, context = {}) {
+  if (!user) {
+    return false;
+  }
+
+  const granted = ROLE_PERMISSIONS[user.role] || [];
+  if (!granted.includes(permission)) {
+    return false;
+  }
+
+  if (context.apiKey && !(await checkApiKeyScope(context.apiKey, permission, resource))) {
+    return false;
+  }
+
+  if (user.role === 'admin' || !resource) {
+    return true;
+  }
+
+  const modelName = resource.constructor?.modelName;
+  const scopeCheck = scopeChecks[modelName];
+  if (!scopeCheck) {
+    throw new Error(`No permission scope defined for ${modelName || 'resource'}`);
+  }
+
+  return scopeCheck(user, resource, permission);
+}
+
+/**
+ * Middleware enforcing a permission, optionally on a loaded resource
+ * Must be used after auth. The loaded resource is exposed as req.resource.
+ * @param {string} permission - Permission name
+ * @param {Object} options - { load: async (req) => document, notFound: message }
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission, options = {}) => {
+  return async (req, res, next) => {
+    try {
+      let resource = null;
+
+      if (options.load) {
+        resource = await options.load(req);
+        if (!resource) {
+          return res.status(404).json({ message: options.notFound || 'Resource not found' });
+        }
+      }
+
+      if (!(await can(req.user, permission, resource, { apiKey: req.apiKey }))) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: options.notFound || 'Resource not found' });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  };
+};
+
+module.exports = {
+  can,
+  requirePermission,
+};
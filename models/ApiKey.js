@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * API Key Model
+ * Keys for server-to-server integrations. A key acts on behalf of the user
+ * who created it, limited to its scopes and, for organization keys, to
+ * resources of that organization. Only the SHA-256 hash of the secret is stored.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Public part of the key, used for lookup and shown in listings
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true,
+  },
+  scopes: [{
+    type: String,
+  }],
+  expiresAt: {
+    type: Date,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
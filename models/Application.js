@@ -6,6 +6,11 @@ const applicationSchema = new mongoose.Schema({
     ref: 'Job',
     required: true,
   },
+  // Version of the posting the candidate applied to
+  jobRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRevision',
+  },
   candidate: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const appendOnly = require('./plugins/appendOnly');
+
+/**
+ * Audit Event Model
+ * Append-only record of who did what to which resource. Events are only ever
+ * inserted - updates and deletes are rejected at the model level.
+ */
+const auditEventSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  actorRole: {
+    type: String,
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  targetType: {
+    type: String,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditEventSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+// Existing events can never be changed or removed
+auditEventSchema.plugin(appendOnly, { message: 'Audit events are append-only' });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation Model
+ * Admin-issued invitations used to onboard admins and company recruiters.
+ * The emailed link is a signed token referencing this record, so an
+ * invitation can be revoked and is only accepted once.
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true,
+  },
+  role: {
+    type: String,
+    enum: ['recruiter', 'admin'],
+    required: true,
+  },
+  company: {
+    type: String,
+    trim: true,
+  },
+  // Recruiters join this organization on acceptance; without one, a new
+  // organization named after `company` is created with them as owner
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+  },
+  organizationRole: {
+    type: String,
+    enum: ['owner', 'recruiter', 'hiring_manager', 'viewer'],
+    default: 'recruiter',
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: {
+    type: Date,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  revokedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
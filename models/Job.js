@@ -1,14 +1,50 @@
 const mongoose = require('mongoose');
+const { BASE_CURRENCY, isSupportedCurrency, toBaseCurrency } = require('../utils/currency');
+const { EMPLOYMENT_TYPES, WORKPLACE_TYPES } = require('../config/jobOptions');
+const { buildJobFingerprint } = require('../utils/jobFingerprint');
+
+const JOB_STATUSES = ['active', 'closed', 'draft'];
+const CLOSED_REASONS = ['manual', 'expired', 'applicant-cap', 'duplicate'];
+
+// Fields recruiters set when creating or editing a posting. Ownership,
+// applicants, closing details, duplicate tracking and revisions are
+// maintained by the server; status and publishAt are kept consistent by the
+// lifecycle hook below (a future publishAt turns an active posting into a draft).
+const EDITABLE_FIELDS = [
+  'title', 'description', 'requirements', 'skills', 'experience', 'location',
+  'employmentType', 'workplaceType', 'salary', 'externalRef',
+  'status', 'publishAt', 'expiresAt', 'maxApplicants',
+];
+
+// Similarity fingerprint for duplicate detection (see utils/jobFingerprint.js)
+const fingerprintSchema = new mongoose.Schema({
+  title: String,
+  company: String,
+  location: String,
+  shingles: [Number],
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
     required: true,
   },
+  // Display name of the owning organization (kept in sync by the organizations routes)
   company: {
     type: String,
     required: true,
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true,
+  },
+  // Reference from the recruiter's own system, used to match rows on bulk import
+  externalRef: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'externalRef cannot be longer than 100 characters'],
+  },
   description: {
     type: String,
     required: true,
@@ -26,13 +62,44 @@ const jobSchema = new mongoose.Schema({
   location: {
     type: String,
   },
+  employmentType: {
+    type: String,
+    enum: EMPLOYMENT_TYPES,
+    default: 'Full-time',
+  },
+  workplaceType: {
+    type: String,
+    enum: WORKPLACE_TYPES,
+    default: 'On-site',
+  },
   salary: {
-    min: Number,
-    max: Number,
+    min: {
+      type: Number,
+      min: [0, 'Salary cannot be negative'],
+      validate: {
+        validator: function(value) {
+          const max = this.salary && this.salary.max;
+          return value === null || value === undefined || max === null || max === undefined || value <= max;
+        },
+        message: 'Minimum salary cannot be greater than maximum salary',
+      },
+    },
+    max: {
+      type: Number,
+      min: [0, 'Salary cannot be negative'],
+    },
     currency: {
       type: String,
-      default: 'USD',
+      uppercase: true,
+      default: BASE_CURRENCY,
+      validate: {
+        validator: value => !value || isSupportedCurrency(value),
+        message: props => `Unsupported salary currency: ${props.value}`,
+      },
     },
+    // Amounts converted to the base currency for filtering and sorting (set on validate)
+    normalizedMin: Number,
+    normalizedMax: Number,
   },
   postedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -45,12 +112,156 @@ const jobSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['active', 'closed', 'draft'],
+    enum: JOB_STATUSES,
     default: 'active',
   },
+  // Drafts with a publish date are activated by the scheduler (see jobLifecycleService.js)
+  publishAt: {
+    type: Date,
+  },
+  // Active postings are closed by the scheduler once this date passes
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.publishAt || value > this.publishAt;
+      },
+      message: 'expiresAt must be after publishAt',
+    },
+  },
+  // Close the posting automatically once this many candidates have applied
+  maxApplicants: {
+    type: Number,
+    min: [1, 'maxApplicants must be at least 1'],
+  },
+  closedAt: {
+    type: Date,
+  },
+  closedReason: {
+    type: String,
+    enum: CLOSED_REASONS,
+  },
+  expiryReminderSentAt: {
+    type: Date,
+  },
+  duplicateFingerprint: {
+    type: fingerprintSchema,
+    select: false,
+  },
+  // Job this posting was merged into as a duplicate
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+  },
+  // Latest content revision (see jobRevisionService.js)
+  currentRevision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JobRevision',
+  },
 }, {
   timestamps: true,
 });
 
+// Keep the base-currency salary range in sync with the posted one
+jobSchema.pre('validate', function(next) {
+  const salary = this.salary || {};
+  const hasRange = (salary.min !== undefined && salary.min !== null)
+    || (salary.max !== undefined && salary.max !== null);
+
+  if (hasRange && !salary.currency) {
+    this.set('salary.currency', BASE_CURRENCY);
+  }
+
+  const currency = this.get('salary.currency');
+  const min = toBaseCurrency(salary.min, currency);
+  const max = toBaseCurrency(salary.max, currency);
+
+  // A single bound counts as both ends of the range
+  this.set('salary.normalizedMin', min ?? max ?? undefined);
+  this.set('salary.normalizedMax', max ?? min ?? undefined);
+  next();
+});
+
+// Track when and why a posting stopped accepting applications
+jobSchema.pre('validate', function(next) {
+  const now = new Date();
+
+  // A publish date in the future turns the posting into a scheduled draft
+  if (this.isModified('publishAt') && this.publishAt > now && this.status === 'active') {
+    this.status = 'draft';
+  }
+
+  if (this.isNew || this.isModified('status')) {
+    if (this.status === 'closed') {
+      this.closedAt = this.closedAt || now;
+      this.closedReason = this.closedReason || 'manual';
+    } else {
+      this.closedAt = undefined;
+      this.closedReason = undefined;
+    }
+  }
+
+  const activating = this.isNew || this.isModified('status') || this.isModified('expiresAt');
+  if (activating && this.status === 'active' && this.expiresAt && this.expiresAt <= now) {
+    this.invalidate('expiresAt', 'expiresAt must be in the future for an active posting');
+  }
+
+  // Moving the expiry date re-arms the reminder
+  if (this.isModified('expiresAt')) {
+    this.expiryReminderSentAt = undefined;
+  }
+  next();
+});
+
+// Refresh the duplicate fingerprint when identifying content changes
+jobSchema.pre('validate', function(next) {
+  const fingerprintFields = ['title', 'company', 'location', 'description'];
+  if (this.isNew || fingerprintFields.some(field => this.isModified(field))) {
+    this.duplicateFingerprint = buildJobFingerprint(this);
+  }
+  next();
+});
+
+// Full-text search, weighted so title and skill matches rank above description matches
+jobSchema.index(
+  { title: 'text', skills: 'text', company: 'text', description: 'text' },
+  { name: 'job_text_search', weights: { title: 10, skills: 6, company: 4, description: 1 } }
+);
+
+// Listing pages sort by these fields within the status filter (see jobSearchService.js)
+jobSchema.index({ status: 1, createdAt: -1, _id: -1 });
+jobSchema.index({ status: 1, experience: 1, _id: 1 });
+jobSchema.index({ status: 1, 'salary.normalizedMax': -1, _id: -1 });
+
+// External references are unique within an organization
+jobSchema.index(
+  { organization: 1, externalRef: 1 },
+  { unique: true, partialFilterExpression: { externalRef: { $type: 'string' } } }
+);
+
+// Newest change first - used to detect when cached feeds are stale (see jobFeedService.js)
+jobSchema.index({ updatedAt: -1 });
+
+// Candidate lookups for duplicate detection
+jobSchema.index({ 'duplicateFingerprint.company': 1, status: 1 });
+
+// Scheduler lookups for due drafts and expiring postings
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, expiresAt: 1 });
+
+// The fingerprint is internal - keep it out of API responses
+jobSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.duplicateFingerprint;
+    return ret;
+  },
+});
+
+jobSchema.statics.STATUSES = JOB_STATUSES;
+jobSchema.statics.CLOSED_REASONS = CLOSED_REASONS;
+jobSchema.statics.EMPLOYMENT_TYPES = EMPLOYMENT_TYPES;
+jobSchema.statics.WORKPLACE_TYPES = WORKPLACE_TYPES;
+jobSchema.statics.EDITABLE_FIELDS = EDITABLE_FIELDS;
+
 module.exports = mongoose.model('Job', jobSchema);
 
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const appendOnly = require('./plugins/appendOnly');
+
+/**
+ * Job Revision Model
+ * Immutable snapshot of a job posting's content. A new revision is stored
+ * whenever the posting's content changes; applications point at the revision
+ * that was live when the candidate applied. Revisions are never updated or
+ * deleted - restoring an old revision creates a new one.
+ */
+const jobRevisionSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  snapshot: {
+    title: String,
+    description: String,
+    requirements: [String],
+    skills: [String],
+    experience: Number,
+    location: String,
+    employmentType: String,
+    workplaceType: String,
+    salary: {
+      min: Number,
+      max: Number,
+      currency: String,
+    },
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Version this revision was restored from, if any
+  restoredFrom: {
+    type: Number,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+jobRevisionSchema.index({ job: 1, version: -1 }, { unique: true });
+
+// Existing revisions can never be changed or removed
+jobRevisionSchema.plugin(appendOnly, { message: 'Job revisions are immutable' });
+
+module.exports = mongoose.model('JobRevision', jobRevisionSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Stat Model
+ * Daily counters per job: unique views, bookmarks and applications. One
+ * document per job and UTC day, incremented as events happen (see
+ * jobAnalyticsService.js).
+ */
+const jobStatSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  // Start of the UTC day the counters belong to
+  day: {
+    type: Date,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+  bookmarks: {
+    type: Number,
+    default: 0,
+  },
+  applications: {
+    type: Number,
+    default: 0,
+  },
+});
+
+jobStatSchema.index({ job: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('JobStat', jobStatSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job View Model
+ * Marks that a visitor has already viewed (or bookmarked) a job on a given
+ * day, so repeated views and bookmark toggles count once. Visitors are stored
+ * as a hash, never as a raw IP address or user ID, and the markers expire
+ * once the day is over.
+ */
+const jobViewSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+  },
+  event: {
+    type: String,
+    enum: ['view', 'bookmark'],
+    default: 'view',
+  },
+  visitor: {
+    type: String,
+    required: true,
+  },
+  day: {
+    type: Date,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+jobViewSchema.index({ job: 1, day: 1, event: 1, visitor: 1 }, { unique: true });
+
+// Remove markers automatically after their day
+jobViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('JobView', jobViewSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login Attempt Model
+ * Failed login counters shared by all server instances. One document per
+ * key, where the key is either "account:<email>" or "ip:<address>".
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  firstFailureAt: {
+    type: Date,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  lockNotifiedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Stale counters are removed automatically
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
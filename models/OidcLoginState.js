@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * OIDC Login State Model
+ * Pending sign-in started by GET /api/auth/oidc/:provider/authorize. Holds the
+ * PKCE code verifier and nonce until the provider redirects back; each state
+ * can be used once and expires after a few minutes.
+ */
+const oidcLoginStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  redirectUri: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Remove abandoned sign-ins automatically
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const ORGANIZATION_ROLES = ['owner', 'recruiter', 'hiring_manager', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES,
+    default: 'recruiter',
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+/**
+ * Organization Model
+ * A hiring company. Jobs belong to an organization and its members share
+ * the job postings and applicant pipelines according to their role.
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+  },
+  description: {
+    type: String,
+    maxlength: 2000,
+  },
+  website: {
+    type: String,
+  },
+  members: [memberSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+organizationSchema.index({ 'members.user': 1 });
+
+/**
+ * Get the role of a user in this organization
+ * @param {string} userId - User ID
+ * @returns {string|null} Role or null if not a member
+ */
+organizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+organizationSchema.statics.ROLES = ORGANIZATION_ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
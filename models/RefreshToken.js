@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refresh Token Model
+ * Every refresh token belongs to a session that starts at login. Each refresh
+ * rotates the token: the old one is revoked and replaced by a new one in the
+ * same session. Only the SHA-256 hash of the token is stored.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'revoked', 'reuse-detected', 'password-reset', 'password-change'],
+  },
+  replacedBy: {
+    type: String,
+  },
+  createdByIp: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+refreshTokenSchema.index({ session: 1, revokedAt: 1 });
+
+// Remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
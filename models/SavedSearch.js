@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+/**
+ * Saved Search Model
+ * A search query and filters a user wants to be notified about. The scheduler
+ * checks each saved search for jobs posted since its last run and emails the
+ * new matches (see savedSearchService.js).
+ */
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  // Free-text search terms (matched against the job text index)
+  query: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  // Filters in the same form as the /api/jobs query parameters
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    default: 'daily',
+  },
+  // Jobs posted after this time are new for the next notification
+  lastRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastNotifiedAt: {
+    type: Date,
+  },
+  unsubscribedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+savedSearchSchema.index({ frequency: 1, unsubscribedAt: 1, lastRunAt: 1 });
+
+savedSearchSchema.statics.FREQUENCIES = FREQUENCIES;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
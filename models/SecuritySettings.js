@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * Security Settings Model
+ * Singleton document (key "global") holding admin-managed security policy
+ */
+const securitySettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true,
+  },
+  // Roles that must enroll in two-factor authentication
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: ['recruiter', 'admin'],
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ * One session per login on a device. Access tokens carry the session ID and
+ * refresh tokens rotate within it, so revoking the session logs that device
+ * out immediately.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenIp: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'revoked', 'reuse-detected', 'password-reset', 'password-change'],
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { EMPLOYMENT_TYPES, WORKPLACE_TYPES } = require('../config/jobOptions');
 
 const educationSchema = new mongoose.Schema({
   degree: { type: String, required: true },
@@ -33,15 +34,25 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true,
   },
+  // Accounts created through an identity provider may have no password
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.identities || this.identities.length === 0;
+    },
   },
   role: {
     type: String,
     enum: ['candidate', 'recruiter', 'admin'],
     default: 'candidate',
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
   // Personal Information
   phone: {
     type: String,
@@ -130,7 +141,11 @@ const userSchema = new mongoose.Schema({
   // Job Preferences (for candidates)
   preferredJobTypes: [{
     type: String,
-    enum: ['Full-time', 'Part-time', 'Contract', 'Freelance', 'Internship'],
+    enum: EMPLOYMENT_TYPES,
+  }],
+  preferredWorkplaceTypes: [{
+    type: String,
+    enum: WORKPLACE_TYPES,
   }],
   preferredLocations: [{
     type: String,
@@ -149,10 +164,47 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job',
   }],
+  // Password reset (only the SHA-256 hash of the emailed token is stored)
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  // Two-factor authentication (TOTP) - secrets are stored encrypted
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{
+        hash: { type: String },
+        usedAt: { type: Date },
+      }],
+      select: false,
+    },
+  },
+  // External identity providers linked to this account (OIDC sign-in)
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String },
+    linkedAt: { type: Date, default: Date.now },
+  }],
 }, {
   timestamps: true,
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 10);
@@ -160,6 +212,9 @@ userSchema.pre('save', async function(next) {
 });
 
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || typeof candidatePassword !== 'string') {
+    return false;
+  }
   return bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,37 @@
+/**
+ * Append-only schema plugin
+ * Documents can be inserted but never changed or removed afterwards: saving
+ * an existing document and every update, replace and delete operation fail.
+ */
+
+// Query operations that would modify or remove stored documents
+const MODIFYING_OPERATIONS = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+];
+
+/**
+ * Reject modifications of a schema's documents
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { message: error message for rejected modifications }
+ */
+function appendOnly(schema, { message = 'Documents are append-only' } = {}) {
+  const rejectModification = function(next) {
+    next(new Error(message));
+  };
+
+  schema.pre('save', function(next) {
+    if (!this.isNew) {
+      return rejectModification(next);
+    }
+    next();
+  });
+
+  MODIFYING_OPERATIONS.forEach(operation => {
+    schema.pre(operation, { document: false, query: true }, rejectModification);
+  });
+
+  schema.pre('deleteOne', { document: true, query: false }, rejectModification);
+}
+
+module.exports = appendOnly;
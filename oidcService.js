@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('./models/User');
+const OidcLoginState = require('./models/OidcLoginState');
+const { OIDC_PROVIDERS } = require('./config/oidc');
+const { hashToken } = require('./tokenService');
+
+/**
+ * OIDC Service - Sign-in through external identity providers
+ * Implements the authorization code flow with PKCE (S256). Pending sign-ins are
+ * stored server-side keyed by the state parameter; ID tokens are verified
+ * against the provider's published signing keys.
+ */
+
+const OIDC_STATE_TTL_MINUTES = parseInt(process.env.OIDC_STATE_TTL_MINUTES) || 10;
+const OIDC_HTTP_TIMEOUT_MS = parseInt(process.env.OIDC_HTTP_TIMEOUT_MS) || 10000;
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Error for a failed sign-in that should be reported to the client
+ * @param {string} message - Client-facing message
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function oidcError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Configured providers, without secrets
+ * @returns {Array<Object>} [{ name, displayName }]
+ */
+function listProviders() {
+  return Object.values(OIDC_PROVIDERS).map(({ name, displayName }) => ({ name, displayName }));
+}
+
+/**
+ * Look up a configured provider by the name taken from the URL
+ * Inherited properties such as "constructor" or "__proto__" are not providers.
+ * @param {string} providerName - Provider name
+ * @returns {Object|null} Provider configuration
+ */
+function getProvider(providerName) {
+  return Object.hasOwn(OIDC_PROVIDERS, providerName) ? OIDC_PROVIDERS[providerName] : null;
+}
+
+/**
+ * Fetch JSON from a provider endpoint
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed body
+ */
+async function fetchJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(OIDC_HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    throw oidcError(`Identity provider is unreachable: ${error.message}`, 502);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw oidcError(`Identity provider rejected the request: ${detail}`, 502);
+  }
+  if (!body) {
+    throw oidcError('Identity provider returned an invalid response', 502);
+  }
+  return body;
+}
+
+/**
+ * Load (and cache) the provider's discovery document
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} OpenID provider metadata
+ */
+async function discover(provider) {
+  const cached = discoveryCache.get(provider.name);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== provider.issuer) {
+    throw oidcError('Identity provider issuer does not match its configuration', 502);
+  }
+
+  discoveryCache.set(provider.name, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+/**
+ * Find the public key an ID token was signed with
+ * The key set is refetched once when the key ID is unknown (key rotation).
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - OpenID provider metadata
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<KeyObject>} Public key
+ */
+async function getSigningKey(provider, metadata, kid) {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let cached = jwksCache.get(provider.name);
+  let jwk = cached && Date.now() - cached.fetchedAt < METADATA_CACHE_TTL_MS ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.name, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw oidcError('ID token was signed with an unknown key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Start a sign-in: create state, nonce and PKCE verifier and build the authorization URL
+ * @param {string} providerName - Configured provider name
+ * @returns {Promise<Object>} { authorizationUrl } or { error, status }
+ */
+async function startAuthorization(providerName) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: 'Unknown identity provider', status: 404 };
+  }
+
+  try {
+    const metadata = await discover(provider);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    await OidcLoginState.create({
+      stateHash: hashToken(state),
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      redirectUri: provider.redirectUri,
+      expiresAt: new Date(Date.now() + OIDC_STATE_TTL_MINUTES * 60 * 1000),
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: provider.redirectUri,
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    }).toString();
+
+    return { authorizationUrl: url.toString() };
+  } catch (error) {
+    if (error.status) {
+      return { error: error.message, status: error.status };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Exchange an authorization code for tokens at the provider's token endpoint
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - OpenID provider metadata
+ * @param {Object} pending - OidcLoginState document
+ * @param {string} code - Authorization code
+ * @returns {Promise<Object>} Token response
+ */
+async function exchangeCode(provider, metadata, pending, code) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: pending.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier,
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json',
+  };
+
+  if (provider.clientSecret) {
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (authMethods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: body.toString() });
+}
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - OpenID provider metadata
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+async function verifyIdToken(provider, metadata, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+    throw oidcError('Identity provider returned an invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(provider, metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: [decoded.header.alg],
+      issuer: metadata.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw oidcError(`ID token is not valid: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce does not match the sign-in request', 401);
+  }
+
+  return claims;
+}
+
+/**
+ * Finish a sign-in: consume the state, exchange the code and verify the ID token
+ * @param {string} providerName - Configured provider name
+ * @param {Object} params - { code, state } from the provider's redirect
+ * @returns {Promise<Object>} { claims: { sub, email, emailVerified, name } } or { error, status }
+ */
+async function completeAuthorization(providerName, { code, state }) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { error: 'Unknown identity provider', status: 404 };
+  }
+
+  // Consume the state atomically so a redirect can only be used once
+  const pending = await OidcLoginState.findOneAndDelete({
+    stateHash: hashToken(String(state)),
+    provider: provider.name,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!pending) {
+    return { error: 'Sign-in request is invalid or has expired. Please try again', status: 400 };
+  }
+
+  try {
+    const metadata = await discover(provider);
+    const tokens = await exchangeCode(provider, metadata, pending, String(code));
+    if (!tokens.id_token) {
+      throw oidcError('Identity provider did not return an ID token', 502);
+    }
+
+    const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+
+    // Some providers only release email and profile through the userinfo endpoint
+    if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' },
+      });
+      if (userInfo.sub === claims.sub) {
+        Object.assign(claims, { email: userInfo.email, email_verified: userInfo.email_verified, name: claims.name || userInfo.name });
+      }
+    }
+
+    return {
+      claims: {
+        sub: String(claims.sub),
+        email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name,
+      },
+    };
+  } catch (error) {
+    if (error.status) {
+      return { error: error.message, status: error.status };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the account for a provider identity, linking or creating one by verified email
+ * @param {string} providerName - Provider the identity comes from
+ * @param {Object} claims - { sub, email, emailVerified, name }
+ * @returns {Promise<Object>} { user, outcome: 'existing' | 'linked' | 'created' } or { error, status }
+ */
+async function findOrLinkUser(providerName, claims) {
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: { provider: providerName, subject: claims.sub } },
+  });
+  if (linkedUser) {
+    return { user: linkedUser, outcome: 'existing' };
+  }
+
+  // Linking relies on the provider vouching for the address
+  if (!claims.email || !claims.emailVerified) {
+    return { error: 'Your identity provider did not confirm your email address', status: 403 };
+  }
+
+  const identity = { provider: providerName, subject: claims.sub, email: claims.email };
+
+  const existingUser = await User.findOne({ email: claims.email });
+  if (existingUser) {
+    existingUser.identities.push(identity);
+    if (!existingUser.emailVerified) {
+      existingUser.emailVerified = true;
+      existingUser.emailVerifiedAt = new Date();
+    }
+    await existingUser.save();
+    return { user: existingUser, outcome: 'linked' };
+  }
+
+  const user = new User({
+    name: (claims.name && String(claims.name).trim()) || claims.email.split('@')[0],
+    email: claims.email,
+    role: 'candidate',
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [identity],
+  });
+  await user.save();
+  return { user, outcome: 'created' };
+}
+
+module.exports = {
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+  findOrLinkUser,
+};
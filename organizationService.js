@@ -0,0 +1,118 @@
+const Organization = require('./models/Organization');
+const { can } = require('./middleware/permissions');
+
+/**
+ * Organization Service - Creating organizations and resolving membership.
+ * What members may do is decided by the policy layer (middleware/permissions.js).
+ */
+
+/**
+ * Turn an organization name into a URL-safe slug
+ * @param {string} name - Organization name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60) || 'organization';
+}
+
+/**
+ * Find a slug that is not taken yet
+ * @param {string} name - Organization name
+ * @returns {Promise<string>} Unique slug
+ */
+async function generateUniqueSlug(name) {
+  const base = slugify(name);
+  let slug = base;
+  let suffix = 1;
+
+  while (await Organization.exists({ slug })) {
+    suffix++;
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+}
+
+/**
+ * Create an organization with the given user as owner
+ * @param {Object} data - { name, description, website }
+ * @param {Object} owner - User document
+ * @returns {Promise<Object>} Organization document
+ */
+async function createOrganization({ name, description, website }, owner) {
+  const organization = new Organization({
+    name: name.trim(),
+    slug: await generateUniqueSlug(name),
+    description,
+    website,
+    createdBy: owner._id,
+    members: [{ user: owner._id, role: 'owner', addedBy: owner._id }],
+  });
+
+  await organization.save();
+  return organization;
+}
+
+/**
+ * Organizations the user belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Organization documents
+ */
+async function getUserOrganizations(userId) {
+  return Organization.find({ 'members.user': userId }).sort({ name: 1 });
+}
+
+/**
+ * Resolve the organization a new job should belong to
+ * Uses the requested organization, or the user's only organization when none is given.
+ * @param {Object} user - User document
+ * @param {string} organizationId - Requested organization ID (optional)
+ * @param {Object} context - Permission context ({ apiKey })
+ * @returns {Promise<Object>} { organization } or { error, status }
+ */
+async function resolveJobOrganization(user, organizationId, context = {}) {
+  // Organization API keys post to their own organization by default
+  if (!organizationId && context.apiKey?.organization) {
+    organizationId = context.apiKey.organization;
+  }
+
+  if (organizationId) {
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+      return { error: 'Organization not found', status: 404 };
+    }
+    if (!(await can(user, 'job:create', organization, context))) {
+      return { error: 'Not authorized to post jobs for this organization', status: 403 };
+    }
+    return { organization };
+  }
+
+  const organizations = [];
+  for (const organization of await getUserOrganizations(user._id)) {
+    if (await can(user, 'job:create', organization, context)) {
+      organizations.push(organization);
+    }
+  }
+
+  if (organizations.length === 1) {
+    return { organization: organizations[0] };
+  }
+
+  if (organizations.length === 0) {
+    return { error: 'You must belong to an organization to post jobs', status: 400 };
+  }
+
+  return { error: 'organization is required when you belong to several organizations', status: 400 };
+}
+
+module.exports = {
+  slugify,
+  createOrganization,
+  getUserOrganizations,
+  resolveJobOrganization,
+};
@@ -1,6 +1,7 @@
 const natural = require('natural');
 const User = require('./models/User');
 const Job = require('./models/Job');
+const { toBaseCurrency } = require('./utils/currency');
 
 // TF-IDF based recommendation (fallback when OpenAI is not available)
 function calculateTFIDFScore(userSkills, userKeywords, jobDescription, jobSkills, jobRequirements) {
@@ -48,6 +49,23 @@ function calculateTFIDFScore(userSkills, userKeywords, jobDescription, jobSkills
   return score;
 }
 
+/**
+ * Whether a job can pay what the candidate expects
+ * Jobs without a salary, and candidates without an expectation, always match.
+ * @param {Object} job - Job document
+ * @param {Object} salaryExpectation - User.salaryExpectation
+ * @returns {boolean}
+ */
+function meetsSalaryExpectation(job, salaryExpectation) {
+  const expectedMin = toBaseCurrency(salaryExpectation?.min, salaryExpectation?.currency || undefined);
+  const offeredMax = job.salary?.normalizedMax;
+
+  if (expectedMin === null || offeredMax === null || offeredMax === undefined) {
+    return true;
+  }
+  return offeredMax >= expectedMin;
+}
+
 // OpenAI-based recommendation (if API key is provided)
 async function getOpenAIRecommendations(user, jobs) {
   if (!process.env.OPENAI_API_KEY) {
@@ -126,8 +144,15 @@ async function getRecommendations(userId, limit = 10) {
       throw new Error('User not found');
     }
 
-    // Get active jobs
-    const jobs = await Job.find({ status: 'active' }).populate('postedBy', 'name email');
+    // Get active jobs of the kinds the candidate is looking for
+    const query = { status: 'active' };
+    if (user.preferredJobTypes && user.preferredJobTypes.length > 0) {
+      query.employmentType = { $in: user.preferredJobTypes };
+    }
+    if (user.preferredWorkplaceTypes && user.preferredWorkplaceTypes.length > 0) {
+      query.workplaceType = { $in: user.preferredWorkplaceTypes };
+    }
+    const jobs = await Job.find(query).populate('postedBy', 'name email');
 
     if (jobs.length === 0) {
       return [];
@@ -157,11 +182,14 @@ async function getRecommendations(userId, limit = 10) {
     // Create a map for quick lookup
     const jobMap = new Map(jobs.map(job => [job._id.toString(), job]));
 
-    // Return jobs in recommended order
-    const recommendedJobs = rankedJobIds
+    // Return jobs in recommended order, ranking jobs that pay below the candidate's expectation last
+    const rankedJobs = rankedJobIds
       .map(id => jobMap.get(id))
-      .filter(job => job !== undefined)
-      .slice(0, limit);
+      .filter(job => job !== undefined);
+    const recommendedJobs = [
+      ...rankedJobs.filter(job => meetsSalaryExpectation(job, user.salaryExpectation)),
+      ...rankedJobs.filter(job => !meetsSalaryExpectation(job, user.salaryExpectation)),
+    ].slice(0, limit);
 
     return recommendedJobs;
   } catch (error) {
@@ -170,5 +198,5 @@ async function getRecommendations(userId, limit = 10) {
   }
 }
 
-module.exports = { getRecommendations, calculateTFIDFScore };
+module.exports = { getRecommendations, calculateTFIDFScore, meetsSalaryExpectation };
 
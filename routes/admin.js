@@ -1,14 +1,28 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Job = require('../models/Job');
 const Application = require('../models/Application');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { validateEmail } = require('../utils/validation');
+const { generatePurposeToken } = require('../utils/jwt');
+const { sendMail } = require('../mailService');
+const { unlockAccount } = require('../loginProtectionService');
+const { revokeAllSessions } = require('../tokenService');
+const { recordAuditEvent, queryAuditEvents, diffFields } = require('../auditService');
+const { TWO_FACTOR_ROLES, getTwoFactorPolicy, updateTwoFactorPolicy, disableTwoFactor } = require('../twoFactorService');
+const { buildClientUrl, invitationEmail } = require('../utils/emailTemplates');
+const { getDuplicateClusters, mergeDuplicateJobs } = require('../jobDuplicateService');
 
 const router = express.Router();
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
 
 // All routes require admin access
 router.use(auth);
-router.use(authorize('admin'));
+router.use(requirePermission('admin:access'));
 
 // Get dashboard statistics
 router.get('/stats', async (req, res) => {
@@ -106,6 +120,45 @@ router.get('/jobs', async (req, res) => {
   }
 });
 
+// Clusters of active jobs that look like re-posts of each other (?threshold=0..1)
+router.get('/duplicate-jobs', async (req, res) => {
+  try {
+    let threshold;
+    if (req.query.threshold !== undefined) {
+      threshold = parseFloat(req.query.threshold);
+      if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+        return res.status(400).json({ message: 'threshold must be a number between 0 and 1' });
+      }
+    }
+
+    const clusters = await getDuplicateClusters({ threshold });
+    res.json({ clusters, total: clusters.length });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Merge duplicate jobs into a primary job
+router.post('/duplicate-jobs/merge', async (req, res) => {
+  try {
+    const { primaryJobId, duplicateJobIds } = req.body;
+
+    const ids = [primaryJobId, ...(Array.isArray(duplicateJobIds) ? duplicateJobIds : [])];
+    if (!Array.isArray(duplicateJobIds) || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'primaryJobId and duplicateJobIds must be valid job IDs' });
+    }
+
+    const { primary, merged, error, status } = await mergeDuplicateJobs(req, { primaryJobId, duplicateJobIds });
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    res.json({ primary, merged, message: `Merged ${merged.length} job(s) into ${primary.title}` });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get all applications (admin view)
 router.get('/applications', async (req, res) => {
   try {
@@ -120,5 +173,252 @@ router.get('/applications', async (req, res) => {
   }
 });
 
+// Query the audit log - filter by actor, target, action and date range
+router.get('/audit-events', async (req, res) => {
+  try {
+    const { actor, targetType, targetId, action, from, to, page, limit } = req.query;
+
+    for (const [name, value] of Object.entries({ actor, targetId })) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ message: `Invalid ${name}` });
+      }
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+    if (fromDate && toDate && fromDate > toDate) {
+      return res.status(400).json({ message: 'from must be before to' });
+    }
+
+    res.json(await queryAuditEvents({
+      actor,
+      targetType,
+      targetId,
+      action,
+      from: fromDate,
+      to: toDate,
+      page,
+      limit,
+    }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Invite a new admin or recruiter
+router.post('/invitations', async (req, res) => {
+  try {
+    const { email, role, organizationId, organizationRole } = req.body;
+    let { company } = req.body;
+
+    if (!email || !validateEmail(email)) {
+      return res.status(400).json({ message: 'Valid email is required' });
+    }
+
+    if (!['recruiter', 'admin'].includes(role)) {
+      return res.status(400).json({ message: 'Invalid role. Must be recruiter or admin' });
+    }
+
+    let organization = null;
+    if (organizationId) {
+      organization = await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(404).json({ message: 'Organization not found' });
+      }
+      company = organization.name;
+    }
+
+    if (role === 'recruiter' && (!company || !company.trim())) {
+      return res.status(400).json({ message: 'Company or organizationId is required when inviting a recruiter' });
+    }
+
+    if (organizationRole && !Organization.ROLES.includes(organizationRole)) {
+      return res.status(400).json({ message: `Invalid organization role. Must be one of: ${Organization.ROLES.join(', ')}` });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    // Replace any pending invitation for the same address
+    await Invitation.updateMany(
+      { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      role,
+      company: company ? company.trim() : undefined,
+      organization: role === 'recruiter' && organization ? organization._id : undefined,
+      organizationRole: organizationRole || 'recruiter',
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000),
+    });
+    await invitation.save();
+
+    const inviteToken = generatePurposeToken(
+      { invitationId: invitation._id.toString(), email: invitation.email },
+      'invitation',
+      `${INVITATION_TTL_HOURS}h`
+    );
+    const acceptUrl = buildClientUrl('/accept-invite', { token: inviteToken });
+
+    try {
+      await sendMail({
+        to: invitation.email,
+        ...invitationEmail({
+          inviterName: req.user.name,
+          role: invitation.role,
+          company: invitation.company,
+          acceptUrl,
+          expiresInHours: INVITATION_TTL_HOURS,
+        }),
+      });
+    } catch (mailError) {
+      console.error('Error sending invitation email:', mailError);
+    }
+
+    await recordAuditEvent(req, {
+      action: 'admin.invitation-create',
+      target: { type: 'Invitation', id: invitation._id },
+      metadata: { email: invitation.email, role: invitation.role, organization: invitation.organization },
+    });
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List invitations
+router.get('/invitations', async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate('organization', 'name slug')
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/invitations/:id', async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.acceptedAt) {
+      return res.status(400).json({ message: 'Invitation has already been accepted' });
+    }
+
+    invitation.revokedAt = invitation.revokedAt || new Date();
+    await invitation.save();
+
+    await recordAuditEvent(req, {
+      action: 'admin.invitation-revoke',
+      target: { type: 'Invitation', id: invitation._id },
+      metadata: { email: invitation.email },
+    });
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unlock a user locked out by failed login attempts
+router.post('/users/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const wasLocked = await unlockAccount(user.email);
+
+    await recordAuditEvent(req, {
+      action: 'admin.user-unlock',
+      target: { type: 'User', id: user._id },
+      metadata: { wasLocked },
+    });
+
+    res.json({
+      message: wasLocked ? 'User unlocked successfully' : 'User was not locked',
+      unlocked: wasLocked,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get two-factor policy
+router.get('/security/two-factor', async (req, res) => {
+  try {
+    res.json(await getTwoFactorPolicy());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Set which roles must use two-factor authentication
+router.put('/security/two-factor', async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !TWO_FACTOR_ROLES.includes(role))) {
+      return res.status(400).json({ message: `requiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}` });
+    }
+
+    const previous = await getTwoFactorPolicy();
+    const policy = await updateTwoFactorPolicy([...new Set(requiredRoles)], req.user._id);
+
+    await recordAuditEvent(req, {
+      action: 'admin.two-factor-policy-update',
+      target: { type: 'SecuritySettings' },
+      changes: diffFields(previous, policy, ['requiredRoles']),
+    });
+
+    res.json(policy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reset a user's two-factor authentication (e.g. lost device and recovery codes)
+router.post('/users/:id/two-factor/reset', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await disableTwoFactor(user._id);
+    // Existing sessions were established with the old factor
+    await revokeAllSessions(user._id, 'logout-all');
+
+    await recordAuditEvent(req, { action: 'admin.two-factor-reset', target: { type: 'User', id: user._id } });
+
+    res.json({ message: 'Two-factor authentication reset. The user must enroll again on next login if required.' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
 
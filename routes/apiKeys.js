@@ -0,0 +1,158 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const Organization = require('../models/Organization');
+const { auth } = require('../middleware/auth');
+const { can } = require('../middleware/permissions');
+const { API_KEY_SCOPES, ROLE_PERMISSIONS } = require('../config/permissions');
+const { createApiKey } = require('../apiKeyService');
+const { recordAuditEvent, diffFields } = require('../auditService');
+
+const router = express.Router();
+
+/**
+ * Create an API key - the raw key is only returned in this response
+ * POST /api/api-keys
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, scopes, organizationId, expiresInDays } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'API key name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: `At least one scope is required: ${API_KEY_SCOPES.join(', ')}` });
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ message: `Invalid scopes: ${invalidScopes.join(', ')}` });
+    }
+
+    // A key can never do more than the user creating it
+    const granted = ROLE_PERMISSIONS[req.user.role] || [];
+    const ungrantedScopes = scopes.filter(scope => !granted.includes(scope));
+    if (ungrantedScopes.length > 0) {
+      return res.status(403).json({ message: `Your role cannot grant: ${ungrantedScopes.join(', ')}` });
+    }
+
+    let organization = null;
+    if (organizationId) {
+      organization = await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(404).json({ message: 'Organization not found' });
+      }
+      if (!(await can(req.user, 'organization:manage', organization))) {
+        return res.status(403).json({ message: 'Not authorized to create keys for this organization' });
+      }
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1) {
+        return res.status(400).json({ message: 'expiresInDays must be a positive number' });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name: name.trim(),
+      user: req.user,
+      organization,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    await recordAuditEvent(req, {
+      action: 'api-key.create',
+      target: { type: 'ApiKey', id: apiKey._id },
+      changes: diffFields(null, apiKey, ['name', 'scopes', 'organization', 'expiresAt']),
+      metadata: { prefix: apiKey.prefix },
+    });
+
+    res.status(201).json({
+      apiKey,
+      key,
+      message: 'Store this key securely - it will not be shown again',
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * List API keys - your own keys, or an organization's keys with ?organizationId=
+ * GET /api/api-keys
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { organizationId } = req.query;
+    let query = { user: req.user._id };
+
+    if (organizationId) {
+      const organization = await Organization.findById(organizationId);
+      if (!organization) {
+        return res.status(404).json({ message: 'Organization not found' });
+      }
+      if (!(await can(req.user, 'organization:manage', organization))) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+      query = { organization: organization._id };
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('user', 'name email')
+      .populate('organization', 'name slug')
+      .sort({ createdAt: -1 });
+
+    res.json(apiKeys);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/api-keys/:id
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    // The creator, the organization's managers and admins may revoke a key
+    let allowed = apiKey.user.toString() === req.user._id.toString() || req.user.role === 'admin';
+    if (!allowed && apiKey.organization) {
+      const organization = await Organization.findById(apiKey.organization);
+      allowed = !!organization && await can(req.user, 'organization:manage', organization);
+    }
+
+    if (!allowed) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user._id;
+      await apiKey.save();
+
+      await recordAuditEvent(req, {
+        action: 'api-key.revoke',
+        target: { type: 'ApiKey', id: apiKey._id },
+        changes: [{ field: 'revokedAt', before: null, after: apiKey.revokedAt }],
+        metadata: { name: apiKey.name, prefix: apiKey.prefix, owner: apiKey.user, organization: apiKey.organization },
+      });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
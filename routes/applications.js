@@ -1,18 +1,22 @@
 const express = require('express');
 const Application = require('../models/Application');
 const Job = require('../models/Job');
-const { auth } = require('../middleware/auth');
+const { auth, authWithApiKey, requireVerifiedEmail } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { recordAuditEvent } = require('../auditService');
+const { reserveApplicantSlot, releaseApplicantSlot, closeJobIfFull } = require('../jobLifecycleService');
+const { ensureCurrentRevision } = require('../jobRevisionService');
+const { trackJobApplication } = require('../jobAnalyticsService');
 
 const router = express.Router();
 
 // Apply for a job
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, requireVerifiedEmail, requirePermission('application:create'), async (req, res) => {
   try {
     const { jobId, coverLetter, resumeUrl } = req.body;
 
     // Check if job exists
-    const job = await Job.findById(jobId);
-    if (!job) {
+    if (!(await Job.exists({ _id: jobId }))) {
       return res.status(404).json({ message: 'Job not found' });
     }
 
@@ -26,6 +30,12 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ message: 'Already applied for this job' });
     }
 
+    // Take a place among the applicants (fails once the job is closed or full)
+    const job = await reserveApplicantSlot(jobId, req.user._id);
+    if (!job) {
+      return res.status(400).json({ message: 'This job is no longer accepting applications' });
+    }
+
     // Create application
     const application = new Application({
       job: jobId,
@@ -34,15 +44,27 @@ router.post('/', auth, async (req, res) => {
       resumeUrl: resumeUrl || req.user.resumeUrl,
     });
 
-    await application.save();
+    try {
+      // Remember which version of the posting the candidate saw
+      application.jobRevision = await ensureCurrentRevision(job);
+      await application.save();
+    } catch (saveError) {
+      await releaseApplicantSlot(jobId, req.user._id);
+      throw saveError;
+    }
 
-    // Add to job applicants
-    job.applicants.push(req.user._id);
-    await job.save();
+    trackJobApplication(jobId);
+    await closeJobIfFull(req, job);
 
     await application.populate('job', 'title company');
     await application.populate('candidate', 'name email');
 
+    await recordAuditEvent(req, {
+      action: 'application.create',
+      target: { type: 'Application', id: application._id },
+      metadata: { job: job._id },
+    });
+
     res.status(201).json(application);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -54,6 +76,7 @@ router.get('/my-applications', auth, async (req, res) => {
   try {
     const applications = await Application.find({ candidate: req.user._id })
       .populate('job', 'title company location')
+      .populate('jobRevision', 'version snapshot createdAt')
       .sort({ createdAt: -1 });
 
     res.json(applications);
@@ -63,20 +86,14 @@ router.get('/my-applications', auth, async (req, res) => {
 });
 
 // Get applications for a job (recruiter)
-router.get('/job/:jobId', auth, async (req, res) => {
+router.get('/job/:jobId', authWithApiKey, requirePermission('application:read', {
+  load: (req) => Job.findById(req.params.jobId),
+  notFound: 'Job not found',
+}), async (req, res) => {
   try {
-    const job = await Job.findById(req.params.jobId);
-
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
-    }
-
-    if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
     const applications = await Application.find({ job: req.params.jobId })
       .populate('candidate', 'name email skills experience resumeUrl')
+      .populate('jobRevision', 'version createdAt')
       .sort({ createdAt: -1 });
 
     res.json(applications);
@@ -86,22 +103,27 @@ router.get('/job/:jobId', auth, async (req, res) => {
 });
 
 // Update application status
-router.put('/:id/status', auth, async (req, res) => {
+router.put('/:id/status', authWithApiKey, requirePermission('application:update-status', {
+  load: (req) => Application.findById(req.params.id).populate('job'),
+  notFound: 'Application not found',
+}), async (req, res) => {
   try {
     const { status } = req.body;
-    const application = await Application.findById(req.params.id).populate('job');
-
-    if (!application) {
-      return res.status(404).json({ message: 'Application not found' });
-    }
-
-    if (application.job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+    const application = req.resource;
 
+    const previousStatus = application.status;
     application.status = status;
     await application.save();
 
+    await recordAuditEvent(req, {
+      action: 'application.status-update',
+      target: { type: 'Application', id: application._id },
+      changes: previousStatus !== application.status
+        ? [{ field: 'status', before: previousStatus, after: application.status }]
+        : [],
+      metadata: { job: application.job._id },
+    });
+
     res.json(application);
   } catch (error) {
     res.status(500).json({ message: error.message });
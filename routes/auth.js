@@ -1,12 +1,50 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
-const { validateUserInput } = require('../utils/validation');
-const { generateToken } = require('../utils/jwt');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const Session = require('../models/Session');
+const { auth, authenticate } = require('../middleware/auth');
+const { validateUserInput, validatePassword } = require('../utils/validation');
+const { getPasswordPolicy } = require('../utils/passwordPolicy');
+const { generatePurposeToken, verifyPurposeToken } = require('../utils/jwt');
+const { buildAuthResponse, toAuthUser, rotateRefreshToken, revokeSession, revokeAllSessions, getUserSessions, hashToken } = require('../tokenService');
+const { sendMail } = require('../mailService');
+const { recordAuditEvent } = require('../auditService');
+const { listProviders, startAuthorization, completeAuthorization, findOrLinkUser } = require('../oidcService');
+const { checkLoginAllowed, recordFailedLogin, recordSuccessfulLogin } = require('../loginProtectionService');
+const { isTwoFactorSetupRequired } = require('../twoFactorService');
+const { createOrganization } = require('../organizationService');
+const { buildClientUrl, passwordResetEmail, emailVerificationEmail } = require('../utils/emailTemplates');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Session routes stay reachable for users who still have to enroll in 2FA
+const authAllowingTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Email a signed verification link to the user
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generatePurposeToken(
+    { userId: user._id.toString(), email: user.email },
+    'email-verification',
+    `${EMAIL_VERIFICATION_TTL_HOURS}h`
+  );
+  const verifyUrl = buildClientUrl('/verify-email', { token: verificationToken });
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ name: user.name, verifyUrl, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS }),
+  });
+};
 
 // Register
 router.post('/register', async (req, res) => {
@@ -16,7 +54,7 @@ router.post('/register', async (req, res) => {
     // Validate input
     const validation = validateUserInput({ name, email, password });
     if (!validation.isValid) {
-      return res.status(400).json({ message: validation.errors.join(', ') });
+      return res.status(400).json({ message: validation.errors.join(', '), errors: validation.errors });
     }
 
     // Check if user exists
@@ -25,10 +63,10 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    // Validate role
-    const validRoles = ['candidate', 'recruiter', 'admin'];
+    // Validate role - admins can only be created through an invitation
+    const validRoles = ['candidate', 'recruiter'];
     if (role && !validRoles.includes(role)) {
-      return res.status(400).json({ message: 'Invalid role. Must be candidate, recruiter, or admin' });
+      return res.status(400).json({ message: 'Invalid role. Must be candidate or recruiter' });
     }
 
     // Create user
@@ -43,20 +81,21 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        skills: user.skills,
-        experience: user.experience,
-      },
+    await recordAuditEvent(req, {
+      action: 'auth.register',
+      target: { type: 'User', id: user._id },
+      actor: user,
     });
+
+    // Registration succeeds even if the email cannot be delivered - the user can resend it
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    // Generate access and refresh tokens
+    res.status(201).json(await buildAuthResponse(user, req));
   } catch (error) {
     if (error.code === 11000) {
       return res.status(400).json({ message: 'Email already registered' });
@@ -91,6 +130,24 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Brute-force protection (per account and per IP)
+    const attemptCheck = await checkLoginAllowed({ email, ip: req.ip });
+    if (!attemptCheck.allowed) {
+      res.set('Retry-After', String(attemptCheck.retryAfter));
+      if (attemptCheck.reason === 'locked') {
+        return res.status(423).json({
+          message: 'Account is temporarily locked due to too many failed login attempts',
+          error: 'ACCOUNT_LOCKED',
+          retryAfter: attemptCheck.retryAfter,
+        });
+      }
+      return res.status(429).json({
+        message: 'Too many login attempts. Please wait before trying again',
+        error: attemptCheck.reason === 'ip-blocked' ? 'IP_BLOCKED' : 'LOGIN_THROTTLED',
+        retryAfter: attemptCheck.retryAfter,
+      });
+    }
+
     // Find user (case-insensitive email search) with timeout
     const user = await Promise.race([
       User.findOne({ email: email.toLowerCase().trim() }),
@@ -99,30 +156,47 @@ router.post('/login', async (req, res) => {
       )
     ]);
 
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-
     // Check password
-    const isMatch = await user.comparePassword(password);
+    const isMatch = user ? await user.comparePassword(password) : false;
     if (!isMatch) {
+      const failure = await recordFailedLogin({ email, ip: req.ip, user });
+      await recordAuditEvent(req, {
+        action: 'auth.login-failed',
+        target: user ? { type: 'User', id: user._id } : undefined,
+        actor: user,
+        metadata: { email: String(email).toLowerCase().trim(), locked: !!failure.locked },
+      });
+      if (failure.locked) {
+        return res.status(423).json({
+          message: 'Account is temporarily locked due to too many failed login attempts',
+          error: 'ACCOUNT_LOCKED',
+        });
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await recordSuccessfulLogin({ email });
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        skills: user.skills,
-        experience: user.experience,
-      },
+    await recordAuditEvent(req, {
+      action: user.twoFactor?.enabled ? 'auth.login-first-factor' : 'auth.login',
+      target: { type: 'User', id: user._id },
+      actor: user,
     });
+
+    // Second step: tokens are only issued after POST /api/auth/2fa/verify
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generatePurposeToken({ userId: user._id.toString() }, '2fa-challenge', TWO_FACTOR_CHALLENGE_TTL),
+      });
+    }
+
+    // Generate access and refresh tokens
+    const response = await buildAuthResponse(user, req);
+    if (await isTwoFactorSetupRequired(user)) {
+      response.twoFactorSetupRequired = true;
+    }
+    res.json(response);
   } catch (error) {
     if (error.message === 'Database query timeout' || error.name === 'MongoServerError') {
       return res.status(503).json({ 
@@ -135,8 +209,97 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// OIDC sign-in - identity providers configured on the server
+router.get('/oidc/providers', (req, res) => {
+  res.json(listProviders());
+});
+
+// OIDC sign-in - start: returns the provider URL the client should navigate to
+router.get('/oidc/:provider/authorize', async (req, res) => {
+  try {
+    const result = await startAuthorization(req.params.provider);
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ authorizationUrl: result.authorizationUrl });
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({ message: error.message || 'Could not start sign-in' });
+  }
+});
+
+// OIDC sign-in - finish: the client posts the code and state it received on its redirect URI
+router.post('/oidc/:provider/callback', async (req, res) => {
+  try {
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.body;
+
+    if (providerError) {
+      return res.status(400).json({ message: providerErrorDescription || `Sign-in was cancelled or failed: ${providerError}` });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({ message: 'Authorization code and state are required' });
+    }
+
+    const provider = req.params.provider;
+    const result = await completeAuthorization(provider, { code, state });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const account = await findOrLinkUser(provider, result.claims);
+    if (account.error) {
+      return res.status(account.status).json({ message: account.error });
+    }
+    const { user, outcome } = account;
+
+    if (outcome !== 'existing') {
+      await recordAuditEvent(req, {
+        action: outcome === 'created' ? 'auth.register' : 'auth.oidc-link',
+        target: { type: 'User', id: user._id },
+        actor: user,
+        metadata: { provider, subject: result.claims.sub },
+      });
+    }
+
+    // An identity provider replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+      await recordAuditEvent(req, {
+        action: 'auth.login-first-factor',
+        target: { type: 'User', id: user._id },
+        actor: user,
+        metadata: { provider },
+      });
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generatePurposeToken({ userId: user._id.toString() }, '2fa-challenge', TWO_FACTOR_CHALLENGE_TTL),
+      });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'auth.login',
+      target: { type: 'User', id: user._id },
+      actor: user,
+      metadata: { provider },
+    });
+
+    const response = await buildAuthResponse(user, req);
+    if (await isTwoFactorSetupRequired(user)) {
+      response.twoFactorSetupRequired = true;
+    }
+    res.status(outcome === 'created' ? 201 : 200).json(response);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This identity is already linked to another account' });
+    }
+    console.error('OIDC callback error:', error);
+    res.status(500).json({ message: error.message || 'Sign-in failed. Please try again.' });
+  }
+});
+
 // Get current user
-router.get('/me', auth, async (req, res) => {
+router.get('/me', authAllowingTwoFactorSetup, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password').populate('bookmarks');
     res.json(user);
@@ -145,32 +308,429 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// Refresh token (optional - can extend token expiration)
-router.post('/refresh', auth, async (req, res) => {
+// Refresh token - exchanges a refresh token for a new token pair (rotation)
+router.post('/refresh', async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(rotated.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Generate new token using utility function
-    const token = generateToken(user._id);
+    res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn,
+      user: toAuthUser(user),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout - revokes the current session
+router.post('/logout', authAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    await recordAuditEvent(req, { action: 'auth.logout', target: { type: 'Session', id: req.sessionId } });
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout everywhere - revokes every session of the current user
+router.post('/logout-all', authAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, 'logout-all');
+    await recordAuditEvent(req, {
+      action: 'auth.logout-all',
+      target: { type: 'User', id: req.user._id },
+      metadata: { sessionsRevoked: revoked },
+    });
+    res.json({ message: 'Logged out from all devices' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List active sessions (devices) of the current user
+router.get('/sessions', authAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const sessions = await getUserSessions(req.user._id);
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastSeenIp: session.lastSeenIp,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId,
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke one session - that device is signed out on its next request
+router.delete('/sessions/:id', authAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, session._id.toString() === req.sessionId ? 'logout' : 'revoked');
+    await recordAuditEvent(req, {
+      action: 'auth.session-revoke',
+      target: { type: 'Session', id: session._id },
+      metadata: { userAgent: session.userAgent, ip: session.ip },
+    });
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Verify email - confirms the address from the signed link sent at registration
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(token, 'email-verification');
+    } catch (tokenError) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    // The link is only valid for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      await recordAuditEvent(req, {
+        action: 'auth.email-verify',
+        target: { type: 'User', id: user._id },
+        actor: user,
+        changes: [{ field: 'emailVerified', before: false, after: true }],
+      });
+    }
+
+    res.json({ message: 'Email verified successfully', user: toAuthUser(user) });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: error.message || 'Could not verify email' });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: error.message || 'Could not send verification email' });
+  }
+});
+
+/**
+ * Resolve a signed invitation link to its pending invitation
+ * @param {string} token - Invitation token from the emailed link
+ * @returns {Promise<Object|null>} Invitation document or null if unusable
+ */
+const findPendingInvitation = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(token, 'invitation');
+  } catch (tokenError) {
+    return null;
+  }
+
+  const invitation = await Invitation.findById(decoded.invitationId);
+  if (!invitation || invitation.email !== decoded.email || invitation.status !== 'pending') {
+    return null;
+  }
+  return invitation;
+};
+
+// Look up an invitation so the client can show who it is for
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
 
     res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        skills: user.skills,
-        experience: user.experience,
-      },
+      email: invitation.email,
+      role: invitation.role,
+      company: invitation.company,
+      expiresAt: invitation.expiresAt,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-module.exports = router;
+// Accept an invitation - creates the account with the invited role
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Invitation token is required' });
+    }
+
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    const validation = validateUserInput({ name, email: invitation.email, password });
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join(', '), errors: validation.errors });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    // Claim the invitation atomically so it can only be accepted once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    // The invitation link proves control of the mailbox
+    const user = new User({
+      name: name.trim(),
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      currentCompany: invitation.company,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    await user.save();
+
+    claimed.acceptedBy = user._id;
+    await claimed.save();
+
+    // Recruiters join the inviting organization, or found one for their company
+    if (user.role === 'recruiter') {
+      if (claimed.organization) {
+        await Organization.updateOne(
+          { _id: claimed.organization, 'members.user': { $ne: user._id } },
+          { $push: { members: { user: user._id, role: claimed.organizationRole, addedBy: claimed.invitedBy } } }
+        );
+      } else if (claimed.company) {
+        await createOrganization({ name: claimed.company }, user);
+      }
+    }
+
+    await recordAuditEvent(req, {
+      action: 'auth.invitation-accept',
+      target: { type: 'Invitation', id: claimed._id },
+      actor: user,
+      metadata: { role: user.role, organization: claimed.organization, invitedBy: claimed.invitedBy },
+    });
+
+    res.status(201).json(await buildAuthResponse(user, req));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: error.message || 'Could not accept invitation' });
+  }
+});
+
+// Forgot password - emails a single-use reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const genericResponse = { message: 'If an account exists for this email, a password reset link has been sent' };
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    user.passwordResetTokenHash = hashToken(resetToken);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    await recordAuditEvent(req, {
+      action: 'auth.password-reset-request',
+      target: { type: 'User', id: user._id },
+      actor: user,
+    });
+
+    const resetUrl = buildClientUrl('/reset-password', { token: resetToken });
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({ name: user.name, resetUrl, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }),
+      });
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: error.message || 'Could not process password reset request' });
+  }
+});
+
+// Reset password - consumes the reset token and sets a new password
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    const resetQuery = {
+      passwordResetTokenHash: hashToken(String(token)),
+      passwordResetExpires: { $gt: new Date() },
+    };
+
+    const pendingUser = await User.findOne(resetQuery);
+    if (!pendingUser) {
+      return res.status(400).json({ message: 'Invalid or expired password reset token' });
+    }
+
+    // Check the policy before consuming the token so the user can try another password
+    const validation = validatePassword(password, pendingUser);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join(', '), errors: validation.errors });
+    }
+
+    // Clear the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      resetQuery,
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired password reset token' });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Sign out every existing session after a password change
+    await revokeAllSessions(user._id, 'password-reset');
+
+    await recordAuditEvent(req, {
+      action: 'auth.password-reset',
+      target: { type: 'User', id: user._id },
+      actor: user,
+    });
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: error.message || 'Could not reset password' });
+  }
+});
+
+// Change password - requires the current password; other sessions are signed out
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current password and new password are required' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
 
+    const validation = validatePassword(newPassword, user);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join(', '), errors: validation.errors });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in, sign out every other one
+    await revokeAllSessions(user._id, 'password-change', { except: req.sessionId });
+
+    await recordAuditEvent(req, { action: 'auth.password-change', target: { type: 'User', id: user._id } });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: error.message || 'Could not change password' });
+  }
+});
+
+// Password policy - the active rules, so clients can show them before submitting
+router.get('/password-policy', (req, res) => {
+  res.json(getPasswordPolicy());
+});
+
+module.exports = router;
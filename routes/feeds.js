@@ -0,0 +1,65 @@
+const express = require('express');
+const { parseFeedFilters, getRssFeed, getAtomFeed, getJobsSitemap } = require('../jobFeedService');
+
+const router = express.Router();
+
+/**
+ * Canonical absolute URL of a feed for the given filters
+ * @param {Object} req - Express request
+ * @param {Object} filters - { skill, location, company }
+ * @returns {string}
+ */
+const buildSelfUrl = (req, filters) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  const query = params.toString();
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Feed handler for a feed builder and content type
+ * @param {Function} buildFeed - async ({ filters, filter, selfUrl }) => XML
+ * @param {string} contentType - Response content type
+ * @returns {Function} Express handler
+ */
+const feedHandler = (buildFeed, contentType) => async (req, res) => {
+  try {
+    const { filters, filter, error } = parseFeedFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const xml = await buildFeed({ filters, filter, selfUrl: buildSelfUrl(req, filters) });
+    res.type(contentType).send(xml);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * RSS 2.0 feed of active jobs (?skill=, ?location=, ?company=)
+ * GET /api/feeds/jobs.rss
+ */
+router.get('/jobs.rss', feedHandler(getRssFeed, 'application/rss+xml; charset=utf-8'));
+
+/**
+ * Atom feed of active jobs (?skill=, ?location=, ?company=)
+ * GET /api/feeds/jobs.atom
+ */
+router.get('/jobs.atom', feedHandler(getAtomFeed, 'application/atom+xml; charset=utf-8'));
+
+/**
+ * XML sitemap of active job pages
+ * GET /api/feeds/sitemap.xml
+ */
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    res.type('application/xml; charset=utf-8').send(await getJobsSitemap());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
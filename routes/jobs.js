@@ -1,22 +1,90 @@
 const express = require('express');
+const multer = require('multer');
 const Job = require('../models/Job');
-const { auth } = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const { auth, authWithApiKey, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { getRecommendations } = require('../recommendationService');
 const { processSearchQuery, buildEnhancedQuery } = require('../groqService');
 const { searchExternalLinksWithAI } = require('../webSearchService');
+const { resolveJobOrganization } = require('../organizationService');
+const { can, requirePermission } = require('../middleware/permissions');
+const { recordAuditEvent, diffFields } = require('../auditService');
+const { buildJobFilters, findJobsPage } = require('../jobSearchService');
+const { getJobFacets } = require('../jobFacetService');
+const { parseLimit, buildPageInfo } = require('../utils/pagination');
+const { closeJobIfFull } = require('../jobLifecycleService');
+const {
+  touchesRevisionFields, createRevision, ensureCurrentRevision, getRevisions, restoreRevision,
+} = require('../jobRevisionService');
+const { parseImportPayload, importJobs, exportJobs } = require('../jobImportService');
+const { buildJobPostingJsonLd } = require('../jobFeedService');
+const { checkForDuplicates, needsDuplicateCheck } = require('../jobDuplicateService');
+const {
+  trackJobView, trackJobBookmark, parseAnalyticsRange, getJobAnalytics, getJobsAnalyticsSummary,
+} = require('../jobAnalyticsService');
 
 const router = express.Router();
 
-// Get all jobs with optional filtering
+const JOB_IMPORT_MAX_SIZE = process.env.JOB_IMPORT_MAX_SIZE || '5mb';
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// Import files may be uploaded as multipart "file" or sent as a raw CSV body
+const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+}).single('file');
+const importUpload = (req, res, next) => uploadImportFile(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  next();
+});
+const csvBody = express.text({ type: ['text/csv', 'application/csv'], limit: JOB_IMPORT_MAX_SIZE });
+
+const loadJob = (req) => Job.findById(req.params.id);
+
+/**
+ * The job fields a request body may set (see Job.EDITABLE_FIELDS)
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields present in the body
+ */
+const pickEditableFields = (body = {}) => Object.fromEntries(
+  Job.EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Filter for the jobs a recruiter manages: their own postings, the jobs of
+ * ?organization= when they may read it, or the jobs of an API key's organization
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { query } or { error, status }
+ */
+async function resolveOwnJobsQuery(req) {
+  if (req.query.organization) {
+    const organization = await Organization.findById(req.query.organization);
+    if (!organization) {
+      return { error: 'Organization not found', status: 404 };
+    }
+    if (!(await can(req.user, 'organization:read', organization, { apiKey: req.apiKey }))) {
+      return { error: 'Not authorized', status: 403 };
+    }
+    return { query: { organization: organization._id } };
+  }
+  if (req.apiKey?.organization) {
+    return { query: { organization: req.apiKey.organization } };
+  }
+  return { query: { postedBy: req.user._id } };
+}
+
+// Get all jobs with optional filtering (cursor paginated)
 router.get('/', async (req, res) => {
   try {
-    const { search, location, skills, minExperience, status } = req.query;
+    const { search, sort, order, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
     const query = {};
 
-    if (status) {
-      query.status = status;
-    } else {
-      query.status = 'active';
+    const filters = buildJobFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ message: filters.error });
     }
 
     // Process search query with Groq AI if search text is provided
@@ -31,39 +99,34 @@ router.get('/', async (req, res) => {
           keywords: processedSearch.keywords,
           intent: processedSearch.intent
         });
-        
-        // Build enhanced query using AI-processed data
-        const enhancedQuery = buildEnhancedQuery(processedSearch);
-        Object.assign(query, enhancedQuery);
       } catch (error) {
         console.error('Error processing search with Groq:', error.message);
         // Fallback to basic search if Groq fails
-        query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { company: { $regex: search, $options: 'i' } },
-        ];
+        processedSearch = { processedQuery: search, useAI: false };
       }
-    }
 
-    if (location) {
-      query.location = { $regex: location, $options: 'i' };
+      // Build enhanced query using AI-processed data
+      Object.assign(query, buildEnhancedQuery(processedSearch));
     }
 
-    if (skills) {
-      const skillArray = Array.isArray(skills) ? skills : skills.split(',');
-      query.skills = { $in: skillArray };
-    }
+    // Explicit filters take precedence over what the AI inferred
+    Object.assign(query, filters.filter);
 
-    if (minExperience) {
-      query.experience = { $lte: parseInt(minExperience) };
+    const page = await findJobsPage({
+      filter: query,
+      sort,
+      order,
+      limit,
+      cursor,
+    });
+    if (page.error) {
+      return res.status(page.status).json({ message: page.error });
     }
 
-    const jobs = await Job.find(query)
-      .populate('postedBy', 'name email')
-      .sort({ createdAt: -1 });
-
-    res.json(jobs);
+    res.json({
+      jobs: page.jobs,
+      pagination: buildPageInfo(req, { ...page, limit }),
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -83,7 +146,7 @@ router.get('/recommended', auth, async (req, res) => {
 // AI-powered search with Groq processing details (must be before /:id route)
 router.get('/search', async (req, res) => {
   try {
-    const { q: searchQuery, location, skills, minExperience, status } = req.query;
+    const { q: searchQuery, sort, order, cursor } = req.query;
     
     if (!searchQuery || searchQuery.trim() === '') {
       return res.status(400).json({ 
@@ -93,12 +156,12 @@ router.get('/search', async (req, res) => {
       });
     }
 
+    const limit = parseLimit(req.query.limit);
     const query = {};
 
-    if (status) {
-      query.status = status;
-    } else {
-      query.status = 'active';
+    const filters = buildJobFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ message: filters.error });
     }
 
     // Process search query with Groq AI (with timeout for faster fallback)
@@ -116,28 +179,10 @@ router.get('/search', async (req, res) => {
         keywords: processedSearch.keywords,
         intent: processedSearch.intent
       });
-      
-      // Build enhanced query using AI-processed data
-      const enhancedQuery = buildEnhancedQuery(processedSearch);
-      Object.assign(query, enhancedQuery);
     } catch (error) {
       console.error('Error processing search with Groq:', error.message);
       // Immediately fallback to fast basic search
       const searchTerms = searchQuery.split(/\s+/).filter(term => term.length > 2);
-      query.$or = [
-        { title: { $regex: searchQuery, $options: 'i' } },
-        { description: { $regex: searchQuery, $options: 'i' } },
-        { company: { $regex: searchQuery, $options: 'i' } },
-      ];
-      // Also search individual terms for better matching
-      if (searchTerms.length > 1) {
-        searchTerms.forEach(term => {
-          query.$or.push(
-            { title: { $regex: term, $options: 'i' } },
-            { description: { $regex: term, $options: 'i' } }
-          );
-        });
-      }
       processedSearch = {
         originalQuery: searchQuery,
         processedQuery: searchQuery,
@@ -148,24 +193,26 @@ router.get('/search', async (req, res) => {
       };
     }
 
-    // Apply additional filters
-    if (location) {
-      query.location = { $regex: location, $options: 'i' };
-    }
-
-    if (skills) {
-      const skillArray = Array.isArray(skills) ? skills : skills.split(',');
-      query.skills = { $in: skillArray };
+    // Build enhanced query using AI-processed data
+    Object.assign(query, buildEnhancedQuery(processedSearch));
+
+    // Explicit filters take precedence over what the AI inferred
+    Object.assign(query, filters.filter);
+
+    const [page, facets] = await Promise.all([
+      findJobsPage({
+        filter: query,
+        sort,
+        order,
+        limit,
+        cursor,
+      }),
+      getJobFacets(query),
+    ]);
+    if (page.error) {
+      return res.status(page.status).json({ message: page.error });
     }
 
-    if (minExperience) {
-      query.experience = { $lte: parseInt(minExperience) };
-    }
-
-    const jobs = await Job.find(query)
-      .populate('postedBy', 'name email')
-      .sort({ createdAt: -1 });
-
     // Fetch external links for the search query
     let externalLinks = [];
     try {
@@ -186,8 +233,10 @@ router.get('/search', async (req, res) => {
         searchTerms: processedSearch.searchTerms || [],
         useAI: processedSearch.useAI || false
       },
-      jobs: jobs,
-      totalResults: jobs.length,
+      jobs: page.jobs,
+      totalResults: page.total,
+      pagination: buildPageInfo(req, { ...page, limit }),
+      facets,
       externalLinks: externalLinks
     });
   } catch (error) {
@@ -195,13 +244,82 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Export the current user's jobs, or an organization's jobs, as CSV or JSON
+router.get('/export', authWithApiKey, requirePermission('job:update'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    const { query, error, status } = await resolveOwnJobsQuery(req);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const jobs = await Job.find(query).sort({ createdAt: -1 });
+
+    res.attachment(`jobs.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json');
+    res.send(exportJobs(jobs, format));
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// View, bookmark and application totals with the funnel for each of the recruiter's jobs
+// Same job scope as /export; ?from=&to= (YYYY-MM-DD) default to the last 30 days
+router.get('/analytics', authWithApiKey, requirePermission('job:analytics'), async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const { query, error, status } = await resolveOwnJobsQuery(req);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const jobs = await Job.find(query).select('title company status').lean();
+    const summary = await getJobsAnalyticsSummary(jobs, range);
+
+    res.json({
+      range: { from: range.from.toISOString().slice(0, 10), to: range.to.toISOString().slice(0, 10) },
+      jobs: summary,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get single job (must be after /search route)
-router.get('/:id', async (req, res) => {
+// Responds with schema.org JobPosting JSON-LD for Accept: application/ld+json or ?format=jsonld
+// Drafts, scheduled and closed jobs are only visible to those who may edit them
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id).populate('postedBy', 'name email');
-    if (!job) {
+    const isActive = job?.status === 'active';
+    if (!job || (!isActive && !(await can(req.user, 'job:update', job, { apiKey: req.apiKey })))) {
       return res.status(404).json({ message: 'Job not found' });
     }
+
+    if (req.query.format === 'jsonld' || req.accepts(['json', 'application/ld+json']) === 'application/ld+json') {
+      await job.populate('organization', 'name website');
+      return res.type('application/ld+json').send(JSON.stringify(buildJobPostingJsonLd(job)));
+    }
+
+    // Previews of unpublished jobs are not audience
+    if (isActive) {
+      trackJobView(req, job);
+    }
+
     res.json(job);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -209,63 +327,214 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create job (recruiter only)
-router.post('/', auth, async (req, res) => {
+router.post('/', authWithApiKey, requireVerifiedEmail, requirePermission('job:create'), async (req, res) => {
   try {
-    if (req.user.role !== 'recruiter' && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Only recruiters can post jobs' });
+    const { organization, error, status } = await resolveJobOrganization(req.user, req.body.organization, { apiKey: req.apiKey });
+    if (error) {
+      return res.status(status).json({ message: error });
     }
 
     const job = new Job({
-      ...req.body,
+      ...pickEditableFields(req.body),
+      company: organization.name,
+      organization: organization._id,
       postedBy: req.user._id,
+      applicants: [],
     });
 
+    // Validating first computes the duplicate fingerprint
+    await job.validate();
+    const { duplicates, blocked } = await checkForDuplicates(job);
+    if (blocked) {
+      return res.status(409).json({ message: 'A very similar job is already posted', duplicates });
+    }
+
     await job.save();
+    await createRevision(req, job);
     await job.populate('postedBy', 'name email');
 
-    res.status(201).json(job);
+    await recordAuditEvent(req, {
+      action: 'job.create',
+      target: { type: 'Job', id: job._id },
+      metadata: { title: job.title, organization: organization._id },
+    });
+
+    res.status(201).json(duplicates.length > 0 ? { ...job.toJSON(), duplicateWarnings: duplicates } : job);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A job with this externalRef already exists in the organization' });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
-// Update job
-router.put('/:id', auth, async (req, res) => {
+// Bulk import jobs from CSV or JSON (?dryRun=true validates without saving)
+router.post('/import', authWithApiKey, requireVerifiedEmail, requirePermission('job:create'), importUpload, csvBody, async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id);
-    
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+    let format = req.query.format;
+    let content = req.body;
+
+    if (req.file) {
+      const extension = req.file.originalname.split('.').pop().toLowerCase();
+      format = format || (IMPORT_FORMATS.includes(extension) ? extension : null);
+      content = req.file.buffer.toString('utf8');
+    } else if (typeof req.body === 'string') {
+      format = format || 'csv';
+    } else {
+      format = format || 'json';
     }
 
-    if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    const { rows, error: parseError } = parseImportPayload(format, content);
+    if (parseError) {
+      return res.status(400).json({ message: parseError });
+    }
+
+    const organizationId = req.query.organization || req.body?.organization;
+    const { organization, error, status } = await resolveJobOrganization(req.user, organizationId, { apiKey: req.apiKey });
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const result = await importJobs(req, {
+      rows,
+      organization,
+      dryRun: req.query.dryRun === 'true',
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update job
+router.put('/:id', authWithApiKey, requirePermission('job:update', { load: loadJob, notFound: 'Job not found' }), async (req, res) => {
+  try {
+    let job = req.resource;
+
+    const updates = pickEditableFields(req.body);
+
+    // Jobs posted before revisions existed get their original content recorded first
+    await ensureCurrentRevision(job);
+
+    const before = job.toObject();
+    Object.assign(job, updates);
+    const changes = diffFields(before, job, Object.keys(updates));
+
+    let duplicates = [];
+    if (needsDuplicateCheck(job)) {
+      await job.validate();
+      const duplicateCheck = await checkForDuplicates(job);
+      if (duplicateCheck.blocked) {
+        return res.status(409).json({ message: 'A very similar job is already posted', duplicates: duplicateCheck.duplicates });
+      }
+      duplicates = duplicateCheck.duplicates;
     }
 
-    Object.assign(job, req.body);
     await job.save();
+
+    if (touchesRevisionFields(changes)) {
+      await createRevision(req, job);
+    }
+
+    // Lowering the applicant cap may close the posting straight away
+    if (await closeJobIfFull(req, job)) {
+      job = await Job.findById(job._id);
+    }
     await job.populate('postedBy', 'name email');
 
-    res.json(job);
+    await recordAuditEvent(req, {
+      action: 'job.update',
+      target: { type: 'Job', id: job._id },
+      changes,
+    });
+
+    res.json(duplicates.length > 0 ? { ...job.toJSON(), duplicateWarnings: duplicates } : job);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A job with this externalRef already exists in the organization' });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
-// Delete job
-router.delete('/:id', auth, async (req, res) => {
+// Daily views, bookmarks and applications of a job with the view → bookmark → apply funnel
+// ?from=&to= (YYYY-MM-DD, UTC) default to the last 30 days
+router.get('/:id/analytics', authWithApiKey, requirePermission('job:analytics', { load: loadJob, notFound: 'Job not found' }), async (req, res) => {
   try {
-    const job = await Job.findById(req.params.id);
-    
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
     }
 
-    if (job.postedBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Not authorized' });
+    res.json(await getJobAnalytics(req.resource, range));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revision history of a job, newest first, with the changes each revision made
+router.get('/:id/revisions', authWithApiKey, requirePermission('job:revisions:read', { load: loadJob, notFound: 'Job not found' }), async (req, res) => {
+  try {
+    const revisions = await getRevisions(req.resource);
+    res.json({ revisions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Restore a job's content from an earlier revision
+router.post('/:id/revisions/:version/restore', authWithApiKey, requirePermission('job:update', { load: loadJob, notFound: 'Job not found' }), async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!version || version < 1) {
+      return res.status(400).json({ message: 'Revision version must be a positive number' });
+    }
+
+    const { job, revision, changes, error, status } = await restoreRevision(req, req.resource, version);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    await job.populate('postedBy', 'name email');
+
+    res.json({
+      job,
+      revision,
+      changes,
+      message: revision ? `Restored revision ${version}` : 'Job already matches this revision',
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
     }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete job
+router.delete('/:id', authWithApiKey, requirePermission('job:delete', { load: loadJob, notFound: 'Job not found' }), async (req, res) => {
+  try {
+    const job = req.resource;
 
     await job.deleteOne();
+
+    await recordAuditEvent(req, {
+      action: 'job.delete',
+      target: { type: 'Job', id: job._id },
+      metadata: { title: job.title, company: job.company, organization: job.organization },
+    });
+
     res.json({ message: 'Job deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -273,7 +542,7 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Bookmark job
-router.post('/:id/bookmark', auth, async (req, res) => {
+router.post('/:id/bookmark', auth, requirePermission('job:bookmark'), async (req, res) => {
   try {
     const user = req.user;
     const jobId = req.params.id;
@@ -283,11 +552,18 @@ router.post('/:id/bookmark', auth, async (req, res) => {
       await user.save();
       return res.json({ message: 'Job unbookmarked', bookmarked: false });
     } else {
+      if (!(await Job.exists({ _id: jobId }))) {
+        return res.status(404).json({ message: 'Job not found' });
+      }
       user.bookmarks.push(jobId);
       await user.save();
+      trackJobBookmark(jobId, user);
       return res.json({ message: 'Job bookmarked', bookmarked: true });
     }
   } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
     res.status(500).json({ message: error.message });
   }
 });
@@ -0,0 +1,250 @@
+const express = require('express');
+const Organization = require('../models/Organization');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { createOrganization, getUserOrganizations } = require('../organizationService');
+const { can, requirePermission } = require('../middleware/permissions');
+const { recordAuditEvent, diffFields } = require('../auditService');
+
+const router = express.Router();
+
+const loadOrganization = (req) => Organization.findById(req.params.id);
+const organizationOptions = { load: loadOrganization, notFound: 'Organization not found' };
+
+/**
+ * Create an organization - the creator becomes its owner
+ * POST /api/organizations
+ */
+router.post('/', auth, requirePermission('organization:create'), async (req, res) => {
+  try {
+    const { name, description, website } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Organization name is required' });
+    }
+
+    const organization = await createOrganization({ name, description, website }, req.user);
+    res.status(201).json(organization);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Organizations the current user belongs to
+ * GET /api/organizations/mine
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const organizations = await getUserOrganizations(req.user._id);
+    res.json(organizations.map(org => ({
+      ...org.toObject(),
+      myRole: org.getMemberRole(req.user._id),
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Get an organization with its members
+ * GET /api/organizations/:id
+ */
+router.get('/:id', auth, requirePermission('organization:read', organizationOptions), async (req, res) => {
+  try {
+    const organization = req.resource;
+    await organization.populate('members.user', 'name email role');
+
+    res.json(organization);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Update organization details (owner only)
+ * PUT /api/organizations/:id
+ */
+router.put('/:id', auth, requirePermission('organization:manage', organizationOptions), async (req, res) => {
+  try {
+    const organization = req.resource;
+    const before = organization.toObject();
+
+    const { name, description, website } = req.body;
+    const nameChanged = name !== undefined && name.trim() && name.trim() !== organization.name;
+
+    if (nameChanged) organization.name = name.trim();
+    if (description !== undefined) organization.description = description;
+    if (website !== undefined) organization.website = website;
+    await organization.save();
+
+    // Keep the denormalized company name on jobs in sync
+    if (nameChanged) {
+      await Job.updateMany({ organization: organization._id }, { company: organization.name });
+    }
+
+    const changes = diffFields(before, organization, ['name', 'description', 'website']);
+    if (changes.length > 0) {
+      await recordAuditEvent(req, {
+        action: 'organization.update',
+        target: { type: 'Organization', id: organization._id },
+        changes,
+      });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Add a member by email (owner only)
+ * POST /api/organizations/:id/members
+ */
+router.post('/:id/members', auth, requirePermission('organization:manage', organizationOptions), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const organization = req.resource;
+
+    const memberRole = role || 'recruiter';
+    if (!Organization.ROLES.includes(memberRole)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${Organization.ROLES.join(', ')}` });
+    }
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({ message: 'No user found with this email' });
+    }
+
+    if (user.role !== 'recruiter') {
+      return res.status(400).json({ message: 'Only recruiter accounts can join an organization' });
+    }
+
+    if (organization.getMemberRole(user._id)) {
+      return res.status(400).json({ message: 'User is already a member of this organization' });
+    }
+
+    organization.members.push({ user: user._id, role: memberRole, addedBy: req.user._id });
+    await organization.save();
+
+    await recordAuditEvent(req, {
+      action: 'organization.member-add',
+      target: { type: 'Organization', id: organization._id },
+      changes: [{ field: 'memberRole', before: null, after: memberRole }],
+      metadata: { member: user._id, email: user.email },
+    });
+    await organization.populate('members.user', 'name email role');
+
+    res.status(201).json(organization);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Change a member's role (owner only)
+ * PUT /api/organizations/:id/members/:userId
+ */
+router.put('/:id/members/:userId', auth, requirePermission('organization:manage', organizationOptions), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const organization = req.resource;
+
+    if (!Organization.ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Must be one of: ${Organization.ROLES.join(', ')}` });
+    }
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const owners = organization.members.filter(m => m.role === 'owner');
+    if (member.role === 'owner' && role !== 'owner' && owners.length === 1) {
+      return res.status(400).json({ message: 'An organization must keep at least one owner' });
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await organization.save();
+
+    if (previousRole !== role) {
+      await recordAuditEvent(req, {
+        action: 'organization.member-role-change',
+        target: { type: 'Organization', id: organization._id },
+        changes: [{ field: 'memberRole', before: previousRole, after: role }],
+        metadata: { member: member.user },
+      });
+    }
+    await organization.populate('members.user', 'name email role');
+
+    res.json(organization);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Remove a member (owner only, or a member leaving)
+ * DELETE /api/organizations/:id/members/:userId
+ */
+router.delete('/:id/members/:userId', auth, requirePermission('organization:read', organizationOptions), async (req, res) => {
+  try {
+    const organization = req.resource;
+
+    // Members may always leave; removing others requires organization:manage
+    const isSelf = req.params.userId === req.user._id.toString();
+    if (!isSelf && !(await can(req.user, 'organization:manage', organization))) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const owners = organization.members.filter(m => m.role === 'owner');
+    if (member.role === 'owner' && owners.length === 1) {
+      return res.status(400).json({ message: 'An organization must keep at least one owner' });
+    }
+
+    organization.members = organization.members.filter(m => m.user.toString() !== req.params.userId);
+    await organization.save();
+
+    await recordAuditEvent(req, {
+      action: 'organization.member-remove',
+      target: { type: 'Organization', id: organization._id },
+      changes: [{ field: 'memberRole', before: member.role, after: null }],
+      metadata: { member: member.user, left: isSelf },
+    });
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Jobs owned by an organization (members only)
+ * GET /api/organizations/:id/jobs
+ */
+router.get('/:id/jobs', auth, requirePermission('organization:read', organizationOptions), async (req, res) => {
+  try {
+    const organization = req.resource;
+
+    const jobs = await Job.find({ organization: organization._id })
+      .populate('postedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const SavedSearch = require('../models/SavedSearch');
+const { auth } = require('../middleware/auth');
+const { normalizeSavedSearch, createSavedSearch, unsubscribeWithToken } = require('../savedSearchService');
+
+const router = express.Router();
+
+/**
+ * Load one of the current user's saved searches
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} SavedSearch document
+ */
+const findOwnSavedSearch = (req) => SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+/**
+ * Save a search - { name, query, filters, frequency: instant|daily|weekly }
+ * POST /api/saved-searches
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { savedSearch, error, status } = await createSavedSearch(req.user, req.body);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    res.status(201).json(savedSearch);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * The current user's saved searches
+ * GET /api/saved-searches
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(savedSearches);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Stop notifications from an email link (no login required)
+ * POST /api/saved-searches/unsubscribe
+ */
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'Unsubscribe token is required' });
+    }
+
+    const { savedSearch, error, status } = await unsubscribeWithToken(token);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    res.json({ message: `You will no longer receive emails for "${savedSearch.name}"` });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Update a saved search; { subscribed: true|false } turns notifications on or off
+ * PUT /api/saved-searches/:id
+ */
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    const { subscribed, ...input } = req.body;
+    const { values, error } = normalizeSavedSearch(input, savedSearch);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    Object.assign(savedSearch, values);
+    if (subscribed === false && !savedSearch.unsubscribedAt) {
+      savedSearch.unsubscribedAt = new Date();
+    } else if (subscribed === true && savedSearch.unsubscribedAt) {
+      // Only jobs posted from now on are new after resubscribing
+      savedSearch.unsubscribedAt = null;
+      savedSearch.lastRunAt = new Date();
+    }
+    await savedSearch.save();
+
+    res.json(savedSearch);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Delete a saved search
+ * DELETE /api/saved-searches/:id
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    await savedSearch.deleteOne();
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const User = require('../models/User');
+const { auth, authenticate } = require('../middleware/auth');
+const { verifyPurposeToken } = require('../utils/jwt');
+const { buildAuthResponse } = require('../tokenService');
+const { recordAuditEvent } = require('../auditService');
+const { checkLoginAllowed, recordFailedLogin, recordSuccessfulLogin } = require('../loginProtectionService');
+const {
+  TWO_FACTOR_ROLES,
+  getTwoFactorPolicy,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+} = require('../twoFactorService');
+
+const router = express.Router();
+
+// Enrollment must be reachable by users who are required to enroll
+const authAllowingTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Get two-factor status for the current user
+ * GET /api/auth/2fa/status
+ */
+router.get('/status', authAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Start enrollment - returns the secret and otpauth:// URI for the QR code
+ * POST /api/auth/2fa/setup
+ */
+router.post('/setup', authAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is available for recruiter and admin accounts' });
+    }
+
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await startEnrollment(req.user);
+
+    res.json({
+      secret,
+      otpauthUri,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Confirm enrollment with a code - returns recovery codes once
+ * POST /api/auth/2fa/enable
+ */
+router.post('/enable', authAllowingTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Verification code is required' });
+    }
+
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await recordAuditEvent(req, { action: 'auth.2fa-enable', target: { type: 'User', id: req.user._id } });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Second login step - exchanges the challenge token and a code for tokens
+ * POST /api/auth/2fa/verify
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and a verification or recovery code are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(challengeToken, '2fa-challenge');
+    } catch (tokenError) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again' });
+    }
+
+    // Code guessing counts towards the same lockout as password guessing
+    const attemptCheck = await checkLoginAllowed({ email: user.email, ip: req.ip });
+    if (!attemptCheck.allowed) {
+      res.set('Retry-After', String(attemptCheck.retryAfter));
+      return res.status(429).json({
+        message: 'Too many attempts. Please wait before trying again',
+        retryAfter: attemptCheck.retryAfter,
+      });
+    }
+
+    const result = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!result.valid) {
+      await recordFailedLogin({ email: user.email, ip: req.ip, user });
+      await recordAuditEvent(req, { action: 'auth.2fa-failed', target: { type: 'User', id: user._id }, actor: user });
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await recordSuccessfulLogin({ email: user.email });
+
+    await recordAuditEvent(req, {
+      action: 'auth.login',
+      target: { type: 'User', id: user._id },
+      actor: user,
+      metadata: { secondFactor: result.method },
+    });
+
+    const response = await buildAuthResponse(user, req);
+    if (result.method === 'recovery-code') {
+      response.remainingRecoveryCodes = result.remainingRecoveryCodes;
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({ message: error.message || 'Two-factor verification failed' });
+  }
+});
+
+/**
+ * Regenerate recovery codes (requires a current code)
+ * POST /api/auth/2fa/recovery-codes
+ */
+router.post('/recovery-codes', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await verifySecondFactor(req.user._id, { code });
+    if (!result.valid) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+    await recordAuditEvent(req, { action: 'auth.2fa-recovery-codes-regenerate', target: { type: 'User', id: req.user._id } });
+    res.json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Disable two-factor authentication (requires password and a code)
+ * POST /api/auth/2fa/disable
+ */
+router.post('/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const policy = await getTwoFactorPolicy();
+    if (policy.requiredRoles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role and cannot be disabled' });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ message: 'Invalid password' });
+    }
+
+    const result = await verifySecondFactor(req.user._id, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    await disableTwoFactor(req.user._id);
+    await recordAuditEvent(req, { action: 'auth.2fa-disable', target: { type: 'User', id: req.user._id } });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
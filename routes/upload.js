@@ -1,7 +1,9 @@
 const express = require('express');
 const multer = require('multer');
 const mongoose = require('mongoose');
-const { auth } = require('../middleware/auth');
+const { auth, authWithApiKey } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { recordAuditEvent } = require('../auditService');
 const { extractKeywordsFromResume } = require('../resumeParser');
 const { uploadFile } = require('../gridfsService');
 const Resume = require('../models/Resume');
@@ -28,11 +30,25 @@ const upload = multer({
   },
 });
 
+/**
+ * Parse the :fileId route parameter into an ObjectId
+ */
+const parseFileId = (req, res, next) => {
+  try {
+    req.fileObjectId = new mongoose.Types.ObjectId(req.params.fileId);
+    next();
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid file ID format' });
+  }
+};
+
+const loadResume = (req) => Resume.findOne({ gridFSFileId: req.fileObjectId });
+
 /**
  * Upload resume to MongoDB GridFS
  * POST /api/upload/resume
  */
-router.post('/resume', auth, upload.single('resume'), async (req, res) => {
+router.post('/resume', auth, requirePermission('resume:upload'), upload.single('resume'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -63,9 +79,10 @@ router.post('/resume', auth, upload.single('resume'), async (req, res) => {
       console.error('Error parsing resume:', parseError);
     }
 
+    let resumeId;
     // Delete old resume if exists
     if (existingResume) {
-      const { deleteFile } = require('../services/gridfsService');
+      const { deleteFile } = require('../gridfsService');
       try {
         await deleteFile(existingResume.gridFSFileId);
       } catch (deleteError) {
@@ -79,6 +96,7 @@ router.post('/resume', auth, upload.single('resume'), async (req, res) => {
       existingResume.keywords = keywords;
       existingResume.uploadedAt = new Date();
       await existingResume.save();
+      resumeId = existingResume._id;
     } else {
       // Create new resume record
       const resume = new Resume({
@@ -90,6 +108,7 @@ router.post('/resume', auth, upload.single('resume'), async (req, res) => {
         keywords,
       });
       await resume.save();
+      resumeId = resume._id;
     }
 
     // Update user profile
@@ -103,6 +122,12 @@ router.post('/resume', auth, upload.single('resume'), async (req, res) => {
     user.resumeUrl = `/api/upload/resume/${uploadResult.fileId}`;
     await user.save();
 
+    await recordAuditEvent(req, {
+      action: existingResume ? 'resume.replace' : 'resume.upload',
+      target: { type: 'Resume', id: resumeId },
+      metadata: { fileName, fileSize, fileId: uploadResult.fileId },
+    });
+
     res.json({
       resumeUrl: `/api/upload/resume/${uploadResult.fileId}`,
       fileId: uploadResult.fileId,
@@ -120,31 +145,12 @@ router.post('/resume', auth, upload.single('resume'), async (req, res) => {
  * Download resume from MongoDB GridFS
  * GET /api/upload/resume/:fileId
  */
-router.get('/resume/:fileId', auth, async (req, res) => {
+router.get('/resume/:fileId', authWithApiKey, parseFileId, requirePermission('resume:download', { load: loadResume, notFound: 'Resume not found' }), async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const userId = req.user._id;
-
-    // Convert string fileId to ObjectId
-    let fileObjectId;
-    try {
-      fileObjectId = new mongoose.Types.ObjectId(fileId);
-    } catch (error) {
-      return res.status(400).json({ message: 'Invalid file ID format' });
-    }
-
-    // Verify user owns this resume
-    const resume = await Resume.findOne({ 
-      gridFSFileId: fileObjectId,
-      userId: userId 
-    });
-
-    if (!resume) {
-      return res.status(404).json({ message: 'Resume not found or access denied' });
-    }
+    const fileObjectId = req.fileObjectId;
 
     // Download file from GridFS
-    const { downloadFile } = require('../services/gridfsService');
+    const { downloadFile } = require('../gridfsService');
     const fileData = await downloadFile(fileObjectId);
 
     // Set appropriate headers
@@ -152,6 +158,12 @@ router.get('/resume/:fileId', auth, async (req, res) => {
     res.setHeader('Content-Disposition', `attachment; filename="${fileData.filename}"`);
     res.setHeader('Content-Length', fileData.size);
 
+    await recordAuditEvent(req, {
+      action: 'resume.download',
+      target: { type: 'Resume', id: req.resource._id },
+      metadata: { owner: req.resource.userId, fileId: fileObjectId },
+    });
+
     // Send file buffer
     res.send(fileData.buffer);
   } catch (error) {
@@ -164,31 +176,12 @@ router.get('/resume/:fileId', auth, async (req, res) => {
  * View resume (inline) from MongoDB GridFS
  * GET /api/upload/resume/:fileId/view
  */
-router.get('/resume/:fileId/view', auth, async (req, res) => {
+router.get('/resume/:fileId/view', auth, parseFileId, requirePermission('resume:download', { load: loadResume, notFound: 'Resume not found' }), async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const userId = req.user._id;
-
-    // Convert string fileId to ObjectId
-    let fileObjectId;
-    try {
-      fileObjectId = new mongoose.Types.ObjectId(fileId);
-    } catch (error) {
-      return res.status(400).json({ message: 'Invalid file ID format' });
-    }
-
-    // Verify user owns this resume
-    const resume = await Resume.findOne({ 
-      gridFSFileId: fileObjectId,
-      userId: userId 
-    });
-
-    if (!resume) {
-      return res.status(404).json({ message: 'Resume not found or access denied' });
-    }
+    const fileObjectId = req.fileObjectId;
 
     // Download file from GridFS
-    const { downloadFile } = require('../services/gridfsService');
+    const { downloadFile } = require('../gridfsService');
     const fileData = await downloadFile(fileObjectId);
 
     // Set appropriate headers for inline viewing
@@ -196,6 +189,12 @@ router.get('/resume/:fileId/view', auth, async (req, res) => {
     res.setHeader('Content-Disposition', `inline; filename="${fileData.filename}"`);
     res.setHeader('Content-Length', fileData.size);
 
+    await recordAuditEvent(req, {
+      action: 'resume.view',
+      target: { type: 'Resume', id: req.resource._id },
+      metadata: { owner: req.resource.userId, fileId: fileObjectId },
+    });
+
     // Send file buffer
     res.send(fileData.buffer);
   } catch (error) {
@@ -208,31 +207,14 @@ router.get('/resume/:fileId/view', auth, async (req, res) => {
  * Delete resume from MongoDB GridFS
  * DELETE /api/upload/resume/:fileId
  */
-router.delete('/resume/:fileId', auth, async (req, res) => {
+router.delete('/resume/:fileId', auth, parseFileId, requirePermission('resume:delete', { load: loadResume, notFound: 'Resume not found' }), async (req, res) => {
   try {
-    const { fileId } = req.params;
-    const userId = req.user._id;
-
-    // Convert string fileId to ObjectId
-    let fileObjectId;
-    try {
-      fileObjectId = new mongoose.Types.ObjectId(fileId);
-    } catch (error) {
-      return res.status(400).json({ message: 'Invalid file ID format' });
-    }
-
-    // Find and verify resume ownership
-    const resume = await Resume.findOne({ 
-      gridFSFileId: fileObjectId,
-      userId: userId 
-    });
-
-    if (!resume) {
-      return res.status(404).json({ message: 'Resume not found or access denied' });
-    }
+    const fileObjectId = req.fileObjectId;
+    const resume = req.resource;
+    const userId = resume.userId;
 
     // Delete file from GridFS
-    const { deleteFile } = require('../services/gridfsService');
+    const { deleteFile } = require('../gridfsService');
     await deleteFile(fileObjectId);
 
     // Delete resume record
@@ -248,6 +230,12 @@ router.delete('/resume/:fileId', auth, async (req, res) => {
     user.resumeUploadedAt = undefined;
     await user.save();
 
+    await recordAuditEvent(req, {
+      action: 'resume.delete',
+      target: { type: 'Resume', id: resume._id },
+      metadata: { owner: userId, fileName: resume.fileName },
+    });
+
     res.json({ message: 'Resume deleted successfully' });
   } catch (error) {
     console.error('Error deleting resume:', error);
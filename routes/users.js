@@ -1,6 +1,7 @@
 const express = require('express');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { isSupportedCurrency } = require('../utils/currency');
 
 const router = express.Router();
 
@@ -99,11 +100,20 @@ router.put('/profile', auth, async (req, res) => {
 
     // Job Preferences (for candidates)
     if (req.body.preferredJobTypes !== undefined) user.preferredJobTypes = req.body.preferredJobTypes;
+    if (req.body.preferredWorkplaceTypes !== undefined) user.preferredWorkplaceTypes = req.body.preferredWorkplaceTypes;
     if (req.body.preferredLocations !== undefined) user.preferredLocations = req.body.preferredLocations;
     if (req.body.salaryExpectation !== undefined) {
       if (req.body.salaryExpectation.min !== undefined) user.salaryExpectation.min = req.body.salaryExpectation.min;
       if (req.body.salaryExpectation.max !== undefined) user.salaryExpectation.max = req.body.salaryExpectation.max;
       if (req.body.salaryExpectation.currency !== undefined) user.salaryExpectation.currency = req.body.salaryExpectation.currency;
+
+      const { min, max, currency } = user.salaryExpectation;
+      if (min !== undefined && min !== null && max !== undefined && max !== null && min > max) {
+        return res.status(400).json({ message: 'Minimum salary expectation cannot be greater than the maximum' });
+      }
+      if (currency && !isSupportedCurrency(currency)) {
+        return res.status(400).json({ message: `Unsupported salary currency: ${currency}` });
+      }
     }
     if (req.body.availability !== undefined) user.availability = req.body.availability;
 
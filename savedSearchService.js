@@ -0,0 +1,307 @@
+const Job = require('./models/Job');
+const SavedSearch = require('./models/SavedSearch');
+const { registerTask } = require('./scheduler');
+const { sendMail } = require('./mailService');
+const { buildJobFilters, buildTextSearch } = require('./jobSearchService');
+const { generatePurposeToken, verifyPurposeToken } = require('./utils/jwt');
+const { buildClientUrl, savedSearchDigestEmail } = require('./utils/emailTemplates');
+
+/**
+ * Saved Search Service - Saved job searches and their email notifications
+ * The scheduler checks every saved search that is due (instant searches on
+ * every run, daily and weekly ones once per period) for jobs that went live
+ * since its previous run, and emails only those new matches. A search is
+ * claimed by moving its lastRunAt forward atomically, so several server
+ * instances never notify the same search twice.
+ */
+
+const SAVED_SEARCH_INTERVAL_SECONDS = parseInt(process.env.SAVED_SEARCH_INTERVAL_SECONDS) || 300;
+const SAVED_SEARCH_MAX_PER_USER = parseInt(process.env.SAVED_SEARCH_MAX_PER_USER) || 20;
+const UNSUBSCRIBE_TOKEN_TTL = process.env.SAVED_SEARCH_UNSUBSCRIBE_TTL || '180d';
+const DIGEST_MAX_JOBS = 20;
+const BATCH_SIZE = 200;
+
+const FREQUENCY_INTERVALS_MS = {
+  instant: 0,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Filters a saved search may store (same names as the /api/jobs query parameters)
+const FILTER_KEYS = [
+  'location',
+  'skills',
+  'company',
+  'employmentType',
+  'workplaceType',
+  'minExperience',
+  'minSalary',
+  'maxSalary',
+  'salaryCurrency',
+];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === ''
+  || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Validate and normalize saved search input
+ * @param {Object} input - { name, query, filters, frequency }
+ * @param {Object} existing - Saved search being updated (omitted fields are kept)
+ * @returns {Object} { values } or { error }
+ */
+function normalizeSavedSearch(input, existing = null) {
+  const values = {};
+
+  if (input.name !== undefined || !existing) {
+    if (!input.name || !String(input.name).trim()) {
+      return { error: 'Saved search name is required' };
+    }
+    values.name = String(input.name).trim();
+  }
+
+  if (input.query !== undefined) {
+    values.query = input.query ? String(input.query).trim() : '';
+  }
+
+  if (input.filters !== undefined) {
+    if (input.filters === null || typeof input.filters !== 'object' || Array.isArray(input.filters)) {
+      return { error: 'filters must be an object' };
+    }
+
+    const unknown = Object.keys(input.filters).filter(key => !FILTER_KEYS.includes(key));
+    if (unknown.length > 0) {
+      return { error: `Unknown filters: ${unknown.join(', ')}. Allowed filters: ${FILTER_KEYS.join(', ')}` };
+    }
+
+    values.filters = {};
+    for (const key of FILTER_KEYS) {
+      const value = input.filters[key];
+      if (isBlank(value)) continue;
+      values.filters[key] = Array.isArray(value) ? value.map(item => String(item).trim()) : String(value).trim();
+    }
+
+    const { error } = buildJobFilters(values.filters);
+    if (error) {
+      return { error };
+    }
+  }
+
+  if (input.frequency !== undefined) {
+    if (!SavedSearch.FREQUENCIES.includes(input.frequency)) {
+      return { error: `Invalid frequency. Must be one of: ${SavedSearch.FREQUENCIES.join(', ')}` };
+    }
+    values.frequency = input.frequency;
+  }
+
+  const query = values.query ?? existing?.query;
+  const filters = values.filters ?? existing?.filters ?? {};
+  if (!query && Object.keys(filters).length === 0) {
+    return { error: 'A saved search needs a query or at least one filter' };
+  }
+
+  return { values };
+}
+
+/**
+ * Create a saved search for a user
+ * @param {Object} user - User document
+ * @param {Object} input - { name, query, filters, frequency }
+ * @returns {Promise<Object>} { savedSearch } or { error, status }
+ */
+async function createSavedSearch(user, input) {
+  const { values, error } = normalizeSavedSearch(input);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  const count = await SavedSearch.countDocuments({ user: user._id });
+  if (count >= SAVED_SEARCH_MAX_PER_USER) {
+    return { error: `You can keep at most ${SAVED_SEARCH_MAX_PER_USER} saved searches`, status: 400 };
+  }
+
+  const savedSearch = await SavedSearch.create({ ...values, user: user._id, lastRunAt: new Date() });
+  return { savedSearch };
+}
+
+/**
+ * MongoDB filter for active jobs matching a saved search that went live in a time window
+ * A job goes live when it is posted, or at its publishAt for scheduled drafts.
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Date} since - Window start (exclusive)
+ * @param {Date} until - Window end (inclusive)
+ * @returns {Object|null} Filter, or null when the stored filters are no longer valid
+ */
+function buildNewJobsFilter(savedSearch, since, until) {
+  const { filter, error } = buildJobFilters(savedSearch.filters || {});
+  if (error) {
+    return null;
+  }
+
+  const liveWindow = { $gt: since, $lte: until };
+  const conditions = {
+    $and: [
+      filter,
+      {
+        $or: [
+          { createdAt: liveWindow, publishAt: { $not: { $gt: until } } },
+          { publishAt: liveWindow },
+        ],
+      },
+    ],
+  };
+
+  const search = savedSearch.query ? buildTextSearch([savedSearch.query]) : null;
+  if (search) {
+    conditions.$text = { $search: search };
+  }
+
+  return conditions;
+}
+
+/**
+ * Signed one-click unsubscribe token for a saved search
+ * @param {Object} savedSearch - SavedSearch document
+ * @returns {string}
+ */
+function createUnsubscribeToken(savedSearch) {
+  return generatePurposeToken(
+    { savedSearchId: savedSearch._id.toString() },
+    'saved-search-unsubscribe',
+    UNSUBSCRIBE_TOKEN_TTL
+  );
+}
+
+/**
+ * Stop notifications for the saved search a token was issued for
+ * @param {string} token - Unsubscribe token
+ * @returns {Promise<Object>} { savedSearch } or { error, status }
+ */
+async function unsubscribeWithToken(token) {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(token, 'saved-search-unsubscribe');
+  } catch (error) {
+    return { error: 'Invalid or expired unsubscribe link', status: 400 };
+  }
+
+  const savedSearch = await SavedSearch.findById(decoded.savedSearchId);
+  if (!savedSearch) {
+    return { error: 'Saved search not found', status: 404 };
+  }
+
+  if (!savedSearch.unsubscribedAt) {
+    savedSearch.unsubscribedAt = new Date();
+    await savedSearch.save();
+  }
+
+  return { savedSearch };
+}
+
+/**
+ * Check one claimed saved search and email its new matches
+ * @param {Object} savedSearch - SavedSearch document as it was before the claim
+ * @param {Date} now - Window end
+ * @returns {Promise<boolean>} Whether a notification was sent
+ */
+async function notifySavedSearch(savedSearch, now) {
+  // Digests only go to confirmed addresses, never to an address someone merely typed in
+  await savedSearch.populate('user', 'name email emailVerified');
+  if (!savedSearch.user?.email || !savedSearch.user.emailVerified) {
+    return false;
+  }
+
+  const filter = buildNewJobsFilter(savedSearch, savedSearch.lastRunAt, now);
+  if (!filter) {
+    return false;
+  }
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter).sort({ createdAt: -1 }).limit(DIGEST_MAX_JOBS).lean(),
+    Job.countDocuments(filter),
+  ]);
+  if (jobs.length === 0) {
+    return false;
+  }
+
+  try {
+    await sendMail({
+      to: savedSearch.user.email,
+      ...savedSearchDigestEmail({
+        name: savedSearch.user.name,
+        searchName: savedSearch.name,
+        frequency: savedSearch.frequency,
+        jobs: jobs.map(job => ({
+          title: job.title,
+          company: job.company,
+          location: job.location,
+          url: buildClientUrl(`/jobs/${job._id}`),
+        })),
+        total,
+        searchUrl: buildClientUrl('/jobs', {
+          ...(savedSearch.query ? { search: savedSearch.query } : {}),
+          ...savedSearch.filters,
+        }),
+        unsubscribeUrl: buildClientUrl('/saved-searches/unsubscribe', { token: createUnsubscribeToken(savedSearch) }),
+      }),
+    });
+  } catch (mailError) {
+    // Give the window back so the matches are sent on the next run
+    await SavedSearch.updateOne({ _id: savedSearch._id, lastRunAt: now }, { lastRunAt: savedSearch.lastRunAt });
+    console.error('Error sending saved search notification:', mailError);
+    return false;
+  }
+
+  await SavedSearch.updateOne({ _id: savedSearch._id }, { lastNotifiedAt: now });
+  return true;
+}
+
+/**
+ * Notify every saved search that is due
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { checked, notified }
+ */
+async function runSavedSearchNotifications(now = new Date()) {
+  let checked = 0;
+  let notified = 0;
+
+  for (const frequency of SavedSearch.FREQUENCIES) {
+    const dueBefore = new Date(now.getTime() - FREQUENCY_INTERVALS_MS[frequency]);
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      // Claim the search by moving its window forward; the returned document keeps the old window
+      const savedSearch = await SavedSearch.findOneAndUpdate(
+        { frequency, unsubscribedAt: null, lastRunAt: { $lt: dueBefore } },
+        { lastRunAt: now },
+        { sort: { lastRunAt: 1 }, new: false }
+      );
+      if (!savedSearch) {
+        break;
+      }
+
+      checked++;
+      if (await notifySavedSearch(savedSearch, now)) {
+        notified++;
+      }
+    }
+  }
+
+  return { checked, notified };
+}
+
+/**
+ * Register the saved search notification task with the scheduler
+ */
+function registerSavedSearchTasks() {
+  registerTask('saved-search-notifications', SAVED_SEARCH_INTERVAL_SECONDS * 1000, () => runSavedSearchNotifications());
+}
+
+module.exports = {
+  FILTER_KEYS,
+  normalizeSavedSearch,
+  createSavedSearch,
+  buildNewJobsFilter,
+  createUnsubscribeToken,
+  unsubscribeWithToken,
+  runSavedSearchNotifications,
+  registerSavedSearchTasks,
+};
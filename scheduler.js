@@ -0,0 +1,116 @@
+/**
+ * Scheduler - Runs recurring background tasks inside the API process
+ * Tasks are registered with registerTask() and started once the database is
+ * connected. A task never overlaps with itself: a run that is still going when
+ * the next tick arrives is skipped. Tasks should be safe to run on several
+ * server instances at once (use conditional updates to claim work).
+ * Set SCHEDULER_ENABLED=false to run the API without background tasks.
+ */
+
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+
+const tasks = new Map();
+let started = false;
+
+/**
+ * Register a recurring task
+ * @param {string} name - Unique task name (used in logs)
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} run - async () => result, logged when it returns a summary
+ */
+function registerTask(name, intervalMs, run) {
+  if (tasks.has(name)) {
+    throw new Error(`Scheduler task already registered: ${name}`);
+  }
+
+  tasks.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null });
+
+  if (started) {
+    scheduleTask(tasks.get(name));
+  }
+}
+
+/**
+ * Run a task once unless it is already running
+ * @param {Object} task - Registered task
+ * @returns {Promise<void>}
+ */
+async function runTask(task) {
+  if (task.running) {
+    return;
+  }
+
+  task.running = true;
+  try {
+    const result = await task.run();
+    if (result && Object.values(result).some(count => count > 0)) {
+      console.log(`⏱️  ${task.name}:`, result);
+    }
+  } catch (error) {
+    console.error(`Scheduler task ${task.name} failed:`, error.message);
+  } finally {
+    task.running = false;
+    task.lastRunAt = new Date();
+  }
+}
+
+/**
+ * Start a task's timer and run it right away
+ * @param {Object} task - Registered task
+ */
+function scheduleTask(task) {
+  task.timer = setInterval(() => runTask(task), task.intervalMs);
+  // Background work should never keep the process alive on shutdown
+  task.timer.unref();
+  runTask(task);
+}
+
+/**
+ * Start all registered tasks (no-op when disabled or already started)
+ * @returns {boolean} Whether the scheduler is running
+ */
+function startScheduler() {
+  if (!SCHEDULER_ENABLED) {
+    console.log('⏸️  Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return false;
+  }
+
+  if (!started) {
+    started = true;
+    tasks.forEach(scheduleTask);
+    console.log(`✅ Scheduler started with ${tasks.size} task(s)`);
+  }
+
+  return true;
+}
+
+/**
+ * Run a registered task immediately (e.g. from a script)
+ * @param {string} name - Task name
+ * @returns {Promise<void>}
+ */
+async function runTaskNow(name) {
+  const task = tasks.get(name);
+  if (!task) {
+    throw new Error(`Unknown scheduler task: ${name}`);
+  }
+  await runTask(task);
+}
+
+/**
+ * Stop all tasks
+ */
+function stopScheduler() {
+  tasks.forEach(task => {
+    clearInterval(task.timer);
+    task.timer = null;
+  });
+  started = false;
+}
+
+module.exports = {
+  registerTask,
+  runTaskNow,
+  startScheduler,
+  stopScheduler,
+};
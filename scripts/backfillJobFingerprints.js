@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+const { buildJobFingerprint } = require('../utils/jobFingerprint');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Compute the duplicate-detection fingerprint of every job.
+ * Run after introducing duplicate detection, or after changing how
+ * fingerprints are built, so existing jobs are compared with new postings.
+ */
+const backfill = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jobportal');
+    console.log('MongoDB Connected, computing job fingerprints...');
+
+    const jobs = await Job.find().select('title company location description');
+
+    let updatedCount = 0;
+    for (const job of jobs) {
+      await Job.updateOne(
+        { _id: job._id },
+        { duplicateFingerprint: buildJobFingerprint(job) },
+        { timestamps: false }
+      );
+      updatedCount++;
+    }
+
+    console.log(`\n✅ Backfill complete: ${updatedCount} jobs fingerprinted`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error computing job fingerprints:', error);
+    process.exit(1);
+  }
+};
+
+backfill();
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Mark accounts created before email verification existed as verified.
+ * Those documents have no emailVerified field at all, while every account
+ * registered since stores an explicit value - so users who signed up later
+ * and never confirmed their address are left alone. Safe to run more than once.
+ */
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jobportal');
+    console.log('MongoDB Connected for migration...');
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      [{ $set: { emailVerified: true, emailVerifiedAt: '$createdAt' } }]
+    );
+
+    console.log(`\n✅ Migration complete: ${result.modifiedCount} existing users marked as verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating email verification:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
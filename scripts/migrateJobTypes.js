@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Backfill employment type and workplace type on jobs created before those
+ * fields existed. Jobs whose location says "remote" become Remote, everything
+ * else gets the model defaults. Safe to run more than once.
+ */
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jobportal');
+    console.log('MongoDB Connected for migration...');
+
+    const employmentResult = await Job.updateMany(
+      { employmentType: { $exists: false } },
+      { $set: { employmentType: 'Full-time' } }
+    );
+
+    const remoteResult = await Job.updateMany(
+      { workplaceType: { $exists: false }, location: { $regex: 'remote', $options: 'i' } },
+      { $set: { workplaceType: 'Remote' } }
+    );
+    const onSiteResult = await Job.updateMany(
+      { workplaceType: { $exists: false } },
+      { $set: { workplaceType: 'On-site' } }
+    );
+
+    console.log(`\n✅ Migration complete: ${employmentResult.modifiedCount} employment types set, ` +
+      `${remoteResult.modifiedCount} remote and ${onSiteResult.modifiedCount} on-site workplace types set`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating job types:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
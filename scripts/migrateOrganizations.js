@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+const Organization = require('../models/Organization');
+const { createOrganization, slugify } = require('../organizationService');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Migrate jobs created before organizations existed.
+ * Groups jobs without an organization by their company name, creates one
+ * organization per company and adds every recruiter who posted for it as a
+ * member (the first poster becomes the owner). An existing organization is
+ * only reused when the poster already belongs to it - a company name that
+ * happens to match someone else's organization gets an organization of its
+ * own (with a suffixed slug). Safe to run more than once.
+ */
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jobportal');
+    console.log('MongoDB Connected for migration...');
+
+    const jobs = await Job.find({ organization: null }).sort({ createdAt: 1 });
+    console.log(`Found ${jobs.length} jobs without an organization`);
+
+    // Organizations created by this run, by company slug
+    const created = new Map();
+    let createdCount = 0;
+    for (const job of jobs) {
+      const slug = slugify(job.company);
+      let organization = created.get(slug) || await Organization.findOne({
+        slug: new RegExp(`^${slug}(-\\d+)?$`),
+        'members.user': job.postedBy,
+      });
+
+      if (!organization) {
+        organization = await createOrganization({ name: job.company }, { _id: job.postedBy });
+        created.set(slug, organization);
+        createdCount++;
+        console.log(`✓ Created organization: ${organization.name}`);
+      } else if (!organization.getMemberRole(job.postedBy)) {
+        organization.members.push({ user: job.postedBy, role: 'recruiter' });
+        await organization.save();
+      }
+
+      job.organization = organization._id;
+      await job.save();
+    }
+
+    console.log(`\n✅ Migration complete: ${jobs.length} jobs linked, ${createdCount} organizations created`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating organizations:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Mock OpenID Connect provider for local development and testing
+ *
+ * Implements just enough of the spec for the authorization code flow with PKCE:
+ * discovery, JWKS, authorize (auto-approves), token and userinfo. The signed-in
+ * identity is taken from the login_hint parameter or the MOCK_OIDC_* defaults.
+ * Never expose this server outside of a development machine.
+ */
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'jobportal-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || null;
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'oidc.candidate@example.com';
+const DEFAULT_NAME = process.env.MOCK_OIDC_NAME || 'OIDC Candidate';
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const keyId = crypto.randomBytes(8).toString('hex');
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' };
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+/**
+ * Stable subject for an email, so repeated sign-ins map to the same identity
+ * @param {string} email - Email address
+ * @returns {string} Subject identifier
+ */
+const subjectFor = (email) => crypto.createHash('sha256').update(`${ISSUER}|${email}`).digest('hex').slice(0, 24);
+
+/**
+ * Check the client credentials sent to the token endpoint (basic or post)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const isClientAuthenticated = (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const authHeader = req.get('Authorization');
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(authHeader.slice(6), 'base64').toString().split(':');
+    clientId = decodeURIComponent(id);
+    clientSecret = decodeURIComponent(secret || '');
+  }
+
+  if (clientId !== CLIENT_ID) {
+    return false;
+  }
+  return !CLIENT_SECRET || clientSecret === CLIENT_SECRET;
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+/**
+ * Auto-approving authorization endpoint
+ * Optional test parameters: login_hint (email), name, email_verified=false
+ */
+app.get('/authorize', (req, res) => {
+  const {
+    response_type: responseType,
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    login_hint: loginHint,
+    name,
+    email_verified: emailVerified,
+  } = req.query;
+
+  if (clientId !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+  if (!redirectUri) {
+    return res.status(400).send('redirect_uri is required');
+  }
+
+  const redirect = new URL(redirectUri);
+  if (state) redirect.searchParams.set('state', state);
+
+  if (responseType !== 'code' || !codeChallenge || codeChallengeMethod !== 'S256') {
+    redirect.searchParams.set('error', 'invalid_request');
+    redirect.searchParams.set('error_description', 'Authorization code flow with S256 PKCE is required');
+    return res.redirect(redirect.toString());
+  }
+
+  const email = String(loginHint || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(24).toString('base64url');
+  authorizationCodes.set(code, {
+    redirectUri,
+    codeChallenge,
+    nonce,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: subjectFor(email),
+      email,
+      email_verified: emailVerified !== 'false',
+      name: name || (loginHint ? email.split('@')[0] : DEFAULT_NAME),
+    },
+  });
+
+  redirect.searchParams.set('code', code);
+  console.log(`Authorized ${email}, redirecting to ${redirect.origin}${redirect.pathname}`);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+
+  if (!isClientAuthenticated(req)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (grantType !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Code is invalid, expired or already used' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: keyId, issuer: ISSUER, audience: CLIENT_ID, expiresIn: TOKEN_TTL_SECONDS }
+  );
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { claims: grant.claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken,
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const authHeader = req.get('Authorization') || '';
+  const grant = accessTokens.get(authHeader.replace('Bearer ', '').trim());
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(grant.claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`\n🔐 Mock OIDC provider running at ${ISSUER}`);
+  console.log('\nConfigure the API server with:');
+  console.log('   OIDC_PROVIDERS=mock');
+  console.log(`   OIDC_MOCK_ISSUER=${ISSUER}`);
+  console.log(`   OIDC_MOCK_CLIENT_ID=${CLIENT_ID}`);
+  if (CLIENT_SECRET) {
+    console.log(`   OIDC_MOCK_CLIENT_SECRET=${CLIENT_SECRET}`);
+  }
+  console.log(`\nSigning in as ${DEFAULT_EMAIL} unless the authorize request has a login_hint.\n`);
+});
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Job = require('../models/Job');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Recompute the base-currency salary range of every job.
+ * Run after introducing salary normalization or after changing the exchange
+ * rate table. Jobs with an unsupported currency are reported and skipped.
+ */
+const normalize = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jobportal');
+    console.log(`MongoDB Connected, normalizing salaries to ${BASE_CURRENCY}...`);
+
+    const jobs = await Job.find({
+      $or: [{ 'salary.min': { $ne: null } }, { 'salary.max': { $ne: null } }],
+    });
+
+    let updatedCount = 0;
+    let skippedCount = 0;
+    for (const job of jobs) {
+      try {
+        await job.save();
+        updatedCount++;
+      } catch (error) {
+        skippedCount++;
+        console.warn(`⚠️  Skipped job ${job._id} (${job.title}): ${error.message}`);
+      }
+    }
+
+    console.log(`\n✅ Normalization complete: ${updatedCount} jobs updated, ${skippedCount} skipped`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error normalizing salaries:', error);
+    process.exit(1);
+  }
+};
+
+normalize();
@@ -4,6 +4,8 @@ const crypto = require('crypto');
 const User = require('../models/User');
 const Job = require('../models/Job');
 const Application = require('../models/Application');
+const Organization = require('../models/Organization');
+const { createOrganization } = require('../organizationService');
 
 // Load environment variables
 dotenv.config();
@@ -83,9 +85,11 @@ Responsibilities:
     skills: ['JavaScript', 'React', 'Node.js', 'MongoDB', 'Express'],
     experience: 5,
     location: 'San Francisco, CA',
+    employmentType: 'Full-time',
+    workplaceType: 'Hybrid',
     salary: {
-      min: 120,
-      max: 180,
+      min: 120000,
+      max: 180000,
       currency: 'USD',
     },
     status: 'active',
@@ -109,9 +113,11 @@ Responsibilities:
     skills: ['Python', 'Django', 'PostgreSQL', 'AWS', 'Docker'],
     experience: 3,
     location: 'Remote',
+    employmentType: 'Full-time',
+    workplaceType: 'Remote',
     salary: {
-      min: 100,
-      max: 150,
+      min: 100000,
+      max: 150000,
       currency: 'USD',
     },
     status: 'active',
@@ -135,9 +141,11 @@ Responsibilities:
     skills: ['React', 'TypeScript', 'Redux', 'Next.js', 'CSS'],
     experience: 3,
     location: 'New York, NY',
+    employmentType: 'Full-time',
+    workplaceType: 'On-site',
     salary: {
-      min: 90,
-      max: 140,
+      min: 90000,
+      max: 140000,
       currency: 'USD',
     },
     status: 'active',
@@ -161,9 +169,11 @@ Responsibilities:
     skills: ['Java', 'Spring Boot', 'MySQL', 'Docker', 'Kubernetes'],
     experience: 4,
     location: 'Austin, TX',
+    employmentType: 'Contract',
+    workplaceType: 'On-site',
     salary: {
-      min: 110,
-      max: 160,
+      min: 110000,
+      max: 160000,
       currency: 'USD',
     },
     status: 'active',
@@ -187,9 +197,11 @@ Responsibilities:
     skills: ['Node.js', 'Express', 'MongoDB', 'JWT', 'REST API'],
     experience: 2,
     location: 'Remote',
+    employmentType: 'Freelance',
+    workplaceType: 'Remote',
     salary: {
-      min: 80,
-      max: 120,
+      min: 80000,
+      max: 120000,
       currency: 'USD',
     },
     status: 'active',
@@ -213,9 +225,11 @@ Responsibilities:
     skills: ['JavaScript', 'React', 'Node.js', 'MongoDB', 'Express'],
     experience: 3,
     location: 'Los Angeles, CA',
+    employmentType: 'Part-time',
+    workplaceType: 'Hybrid',
     salary: {
-      min: 95,
-      max: 145,
+      min: 95000,
+      max: 145000,
       currency: 'USD',
     },
     status: 'active',
@@ -244,12 +258,13 @@ const seedData = async () => {
     await User.deleteMany({});
     await Job.deleteMany({});
     await Application.deleteMany({});
+    await Organization.deleteMany({});
 
     // Create users
     console.log('Creating users...');
     const createdUsers = [];
     for (const userData of users) {
-      const user = new User(userData);
+      const user = new User({ ...userData, emailVerified: true, emailVerifiedAt: new Date() });
       await user.save();
       createdUsers.push(user);
       console.log(`✓ Created user: ${user.email} (${user.role})`);
@@ -262,12 +277,26 @@ const seedData = async () => {
     // Create jobs
     console.log('\nCreating jobs...');
     const createdJobs = [];
+    const organizations = new Map();
     let recruiterIndex = 0;
     for (const jobData of jobs) {
       // Assign jobs to recruiters in rotation
       const postedBy = recruiters[recruiterIndex % recruiters.length];
+
+      // One organization per company, shared by the recruiters posting for it
+      let organization = organizations.get(jobData.company);
+      if (!organization) {
+        organization = await createOrganization({ name: jobData.company }, postedBy);
+        organizations.set(jobData.company, organization);
+        console.log(`✓ Created organization: ${organization.name}`);
+      } else if (!organization.getMemberRole(postedBy._id)) {
+        organization.members.push({ user: postedBy._id, role: 'recruiter' });
+        await organization.save();
+      }
+
       const job = new Job({
         ...jobData,
+        organization: organization._id,
         postedBy: postedBy._id,
       });
       await job.save();
@@ -328,6 +357,7 @@ ${candidate.name}`,
     console.log('\n✅ Seed data created successfully!');
     console.log(`\nSummary:`);
     console.log(`- Users: ${createdUsers.length}`);
+    console.log(`- Organizations: ${organizations.size}`);
     console.log(`- Jobs: ${createdJobs.length}`);
     console.log(`- Applications: ${await Application.countDocuments()}`);
     
@@ -0,0 +1,69 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setImmediate: nextTick } = require('node:timers/promises');
+const {
+  newId, sameId, createUser, mockAuthentication, bearer, startServer,
+} = require('./helpers/routeHarness');
+const Job = require('../models/Job');
+const JobStat = require('../models/JobStat');
+const JobView = require('../models/JobView');
+const User = require('../models/User');
+
+const jobsRouter = require('../routes/jobs');
+
+describe('bookmark analytics', () => {
+  let server;
+  let candidate;
+  let jobId;
+  let increments;
+
+  before(async () => {
+    server = await startServer({ '/api/jobs': jobsRouter });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    candidate = createUser('candidate');
+    jobId = newId();
+    increments = [];
+
+    mockAuthentication([candidate]);
+    mock.method(Job, 'exists', async ({ _id }) => (sameId(_id, jobId) ? { _id: jobId } : null));
+    mock.method(User.prototype, 'save', async function() { return this; });
+
+    const markers = new Set();
+    mock.method(JobView, 'create', async ({ job, event, visitor }) => {
+      const key = `${job}|${event}|${visitor}`;
+      if (markers.has(key)) {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+      markers.add(key);
+    });
+    mock.method(JobStat, 'updateOne', async (filter, update) => increments.push(update.$inc));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const toggle = async (id) => {
+    const response = await server.request('POST', `/api/jobs/${id}/bookmark`, { headers: bearer(candidate) });
+    await nextTick();
+    return response;
+  };
+
+  it('counts a bookmark once per user and day however often it is toggled', async () => {
+    assert.equal((await toggle(jobId)).body.bookmarked, true);
+    assert.equal((await toggle(jobId)).body.bookmarked, false);
+    assert.equal((await toggle(jobId)).body.bookmarked, true);
+
+    assert.deepEqual(increments, [{ bookmarks: 1 }]);
+  });
+
+  it('returns 404 for unknown jobs without touching the stats', async () => {
+    assert.equal((await toggle(newId())).status, 404);
+    assert.equal((await toggle('not-an-id')).status, 404);
+
+    assert.deepEqual(increments, []);
+    assert.equal(candidate.bookmarks.length, 0);
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  fakeQuery, newId, sameId, createUser, mockAuthentication, bearer, startServer,
+} = require('./helpers/routeHarness');
+const ApiKey = require('../models/ApiKey');
+const AuditEvent = require('../models/AuditEvent');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Resume = require('../models/Resume');
+const gridfsService = require('../gridfsService');
+
+const apiKeysRouter = require('../routes/apiKeys');
+const organizationsRouter = require('../routes/organizations');
+const uploadRouter = require('../routes/upload');
+
+/**
+ * Security-sensitive API key and organization changes and resume downloads
+ * leave an audit trail
+ */
+
+describe('audit events for API keys and organizations', () => {
+  let server;
+  let owner;
+  let recruiter;
+  let organization;
+  let events;
+
+  before(async () => {
+    server = await startServer({
+      '/api/api-keys': apiKeysRouter,
+      '/api/organizations': organizationsRouter,
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    owner = createUser('recruiter');
+    recruiter = createUser('recruiter');
+    organization = Organization.hydrate({
+      _id: newId(),
+      name: 'Acme',
+      slug: 'acme',
+      members: [{ _id: newId(), user: owner._id, role: 'owner' }],
+    });
+
+    mockAuthentication([owner, recruiter]);
+    events = [];
+    mock.method(AuditEvent, 'create', async (event) => events.push(event));
+    mock.method(Organization, 'findById', (id) => fakeQuery(sameId(organization._id, id) ? organization : null));
+    mock.method(Organization.prototype, 'save', async function() { return this; });
+    mock.method(Organization.prototype, 'populate', async function() { return this; });
+    mock.method(User, 'findOne', () => fakeQuery(recruiter));
+    mock.method(Job, 'updateMany', async () => ({}));
+    mock.method(ApiKey.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('records API key creation with its scopes', async () => {
+    mock.method(ApiKey, 'create', async (values) => new ApiKey(values));
+
+    const response = await server.request('POST', '/api/api-keys', {
+      headers: bearer(owner),
+      body: { name: 'CI', scopes: ['job:update'], organizationId: organization._id.toString() },
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].action, 'api-key.create');
+    assert.ok(sameId(events[0].actor, owner._id));
+    assert.deepEqual(events[0].changes.find(change => change.field === 'scopes'), {
+      field: 'scopes', before: null, after: ['job:update'],
+    });
+  });
+
+  it('records API key revocation once', async () => {
+    const apiKey = ApiKey.hydrate({ _id: newId(), name: 'CI', prefix: 'abc', keyHash: 'x', user: owner._id, scopes: ['job:update'] });
+    mock.method(ApiKey, 'findById', () => fakeQuery(apiKey));
+
+    assert.equal((await server.request('DELETE', `/api/api-keys/${apiKey._id}`, { headers: bearer(owner) })).status, 200);
+    assert.equal((await server.request('DELETE', `/api/api-keys/${apiKey._id}`, { headers: bearer(owner) })).status, 200);
+
+    assert.deepEqual(events.map(event => event.action), ['api-key.revoke']);
+    assert.equal(events[0].changes[0].before, null);
+  });
+
+  it('records organization renames with before and after', async () => {
+    const response = await server.request('PUT', `/api/organizations/${organization._id}`, {
+      headers: bearer(owner),
+      body: { name: 'Acme Inc' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(events[0].action, 'organization.update');
+    assert.deepEqual(events[0].changes, [{ field: 'name', before: 'Acme', after: 'Acme Inc' }]);
+  });
+
+  it('records member additions, role changes and removals', async () => {
+    const base = `/api/organizations/${organization._id}/members`;
+
+    await server.request('POST', base, { headers: bearer(owner), body: { email: recruiter.email, role: 'viewer' } });
+    await server.request('PUT', `${base}/${recruiter._id}`, { headers: bearer(owner), body: { role: 'recruiter' } });
+    await server.request('DELETE', `${base}/${recruiter._id}`, { headers: bearer(owner) });
+
+    assert.deepEqual(events.map(event => [event.action, event.changes[0].before, event.changes[0].after]), [
+      ['organization.member-add', null, 'viewer'],
+      ['organization.member-role-change', 'viewer', 'recruiter'],
+      ['organization.member-remove', 'recruiter', null],
+    ]);
+    events.forEach(event => {
+      assert.ok(sameId(event.actor, owner._id));
+      assert.ok(sameId(event.metadata.member, recruiter._id));
+    });
+  });
+});
+
+describe('audit events for resume downloads', () => {
+  let server;
+  let candidate;
+  let resume;
+  let events;
+
+  before(async () => {
+    server = await startServer({ '/api/upload': uploadRouter });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    candidate = createUser('candidate');
+    resume = Resume.hydrate({ _id: newId(), userId: candidate._id, fileName: 'cv.pdf', gridFSFileId: newId() });
+
+    mockAuthentication([candidate]);
+    events = [];
+    mock.method(AuditEvent, 'create', async (event) => events.push(event));
+    mock.method(Resume, 'findOne', ({ gridFSFileId }) => fakeQuery(sameId(resume.gridFSFileId, gridFSFileId) ? resume : null));
+    mock.method(gridfsService, 'downloadFile', async () => ({
+      buffer: Buffer.from('%PDF-1.4'),
+      contentType: 'application/pdf',
+      filename: 'cv.pdf',
+      size: 8,
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('records a successful download with the resume owner', async () => {
+    const response = await server.request('GET', `/api/upload/resume/${resume.gridFSFileId}`, { headers: bearer(candidate) });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.text, '%PDF-1.4');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].action, 'resume.download');
+    assert.ok(sameId(events[0].actor, candidate._id));
+    assert.equal(events[0].targetType, 'Resume');
+    assert.ok(sameId(events[0].targetId, resume._id));
+    assert.ok(sameId(events[0].metadata.owner, candidate._id));
+  });
+
+  it('records nothing when the file cannot be read', async () => {
+    mock.method(gridfsService, 'downloadFile', async () => {
+      throw new Error('File not found');
+    });
+
+    const response = await server.request('GET', `/api/upload/resume/${resume.gridFSFileId}`, { headers: bearer(candidate) });
+
+    assert.equal(response.status, 500);
+    assert.equal(events.length, 0);
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { fakeQuery, createUser, mockAuthentication, apiKeyFor, startServer } = require('./helpers/routeHarness');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { authWithApiKey } = require('../middleware/auth');
+
+describe('authWithApiKey', () => {
+  let server;
+
+  before(async () => {
+    const router = express.Router();
+    router.get('/', authWithApiKey, (req, res) => res.json({ userId: req.userId }));
+    server = await startServer({ '/protected': router });
+  });
+
+  after(() => server.close());
+
+  afterEach(() => mock.restoreAll());
+
+  it('authenticates a valid API key as its owner', async () => {
+    const user = createUser('recruiter');
+    mockAuthentication([user]);
+
+    const response = await server.request('GET', '/protected', { headers: apiKeyFor(user, { scopes: ['job:update'] }) });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.userId, user._id.toString());
+  });
+
+  it('responds instead of hanging when the key lookup fails', { timeout: 5000 }, async () => {
+    const user = createUser('recruiter');
+    mockAuthentication([user]);
+    const headers = apiKeyFor(user, { scopes: ['job:update'] });
+    mock.method(ApiKey, 'findOne', () => fakeQuery(Promise.reject(new Error('connection lost'))));
+
+    const response = await server.request('GET', '/protected', { headers });
+    assert.equal(response.status, 401);
+  });
+
+  it('responds instead of hanging when the key owner cannot be loaded', { timeout: 5000 }, async () => {
+    const user = createUser('recruiter');
+    mockAuthentication([user]);
+    const headers = apiKeyFor(user, { scopes: ['job:update'] });
+    mock.method(User, 'findById', () => fakeQuery(Promise.reject(new Error('connection lost'))));
+
+    const response = await server.request('GET', '/protected', { headers });
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv, unescapeCsvValue } = require('../utils/csv');
+
+describe('toCsv', () => {
+  it('quotes values containing separators, quotes and line breaks', () => {
+    const csv = toCsv(['a', 'b'], [{ a: 'x,y', b: 'say "hi"\nbye' }]);
+    assert.equal(csv, 'a,b\r\n"x,y","say ""hi""\nbye"\r\n');
+  });
+
+  it('neutralizes cells a spreadsheet would run as formulas', () => {
+    const csv = toCsv(['title'], ['=HYPERLINK("x")', '+1', '-2', '@SUM(A1)', '\tcmd'].map(title => ({ title })));
+    assert.deepEqual(parseCsv(csv).records.map(record => record.values.title), [
+      '\'=HYPERLINK("x")', '\'+1', '\'-2', '\'@SUM(A1)', '\'\tcmd',
+    ]);
+  });
+
+  it('leaves numbers and ordinary text alone', () => {
+    assert.equal(toCsv(['a', 'b'], [{ a: -5, b: 'Senior Engineer' }]), 'a,b\r\n-5,Senior Engineer\r\n');
+  });
+});
+
+describe('unescapeCsvValue', () => {
+  it('restores text neutralized on export', () => {
+    const titles = ['=HYPERLINK("x")', '- 5 years', '@team', 'Senior Engineer'];
+    const csv = toCsv(['title'], titles.map(title => ({ title })));
+    assert.deepEqual(parseCsv(csv).records.map(record => unescapeCsvValue(record.values.title)), titles);
+  });
+
+  it('keeps apostrophes that do not guard a formula character', () => {
+    assert.equal(unescapeCsvValue('\'quoted\''), '\'quoted\'');
+    assert.equal(unescapeCsvValue('\'\'=1'), '\'\'=1');
+  });
+});
@@ -0,0 +1,150 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const ApiKey = require('../../models/ApiKey');
+const AuditEvent = require('../../models/AuditEvent');
+const SecuritySettings = require('../../models/SecuritySettings');
+const { generateToken } = require('../../utils/jwt');
+const { hashToken } = require('../../tokenService');
+
+/**
+ * Route test harness
+ * Mounts a real router on an ephemeral Express server and replaces the
+ * Mongoose model methods the request touches with in-memory fakes, so routes
+ * run end to end (auth → requirePermission → handler) without MongoDB.
+ */
+
+/**
+ * Chainable stand-in for a Mongoose query resolving to a fixed value
+ * @param {*} value - Query result
+ * @returns {Object} Thenable with populate/select/sort/lean/limit
+ */
+function fakeQuery(value) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    catch: (reject) => Promise.resolve(value).catch(reject),
+  };
+  ['populate', 'select', 'sort', 'lean', 'limit', 'skip'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+}
+
+const newId = () => new mongoose.Types.ObjectId();
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+// Keys issued by apiKeyFor() for the current test
+const apiKeys = [];
+
+/**
+ * Build a user document
+ * @param {string} role - Platform role
+ * @returns {Object} User document
+ */
+function createUser(role) {
+  return new User({
+    name: `${role} user`,
+    email: `${role}-${newId()}@example.com`,
+    password: 'unused',
+    role,
+    emailVerified: true,
+  });
+}
+
+/**
+ * Serve users, sessions, API keys (see apiKeyFor), 2FA policy and audit events from memory
+ * @param {Array<Object>} users - Known user documents
+ */
+function mockAuthentication(users) {
+  mock.method(User, 'findById', (id) => fakeQuery(users.find(user => sameId(user._id, id)) || null));
+  mock.method(Session, 'findOne', ({ _id }) => fakeQuery({ _id, lastSeenAt: new Date() }));
+  mock.method(Session, 'updateOne', async () => ({}));
+  mock.method(SecuritySettings, 'findOne', () => fakeQuery(null));
+  apiKeys.length = 0;
+  mock.method(ApiKey, 'findOne', ({ prefix }) => fakeQuery(apiKeys.find(apiKey => apiKey.prefix === prefix) || null));
+  mock.method(ApiKey, 'updateOne', async () => ({}));
+  mock.method(AuditEvent, 'create', async (event) => event);
+}
+
+/**
+ * Bearer header for a signed-in user
+ * @param {Object} user - User document
+ * @returns {Object} Request headers
+ */
+function bearer(user) {
+  return { Authorization: `Bearer ${generateToken(user._id.toString(), newId().toString())}` };
+}
+
+/**
+ * Issue an API key for a user and serve it from the fake ApiKey model
+ * @param {Object} user - Key owner
+ * @param {Object} options - { scopes, organization }
+ * @returns {Object} Request headers
+ */
+function apiKeyFor(user, { scopes, organization } = {}) {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `jp_${prefix}_secret`;
+  const apiKey = new ApiKey({
+    name: 'test key',
+    prefix,
+    keyHash: hashToken(key),
+    user: user._id,
+    organization: organization ? organization._id : undefined,
+    scopes,
+  });
+
+  apiKeys.push(apiKey);
+
+  return { 'X-API-Key': key };
+}
+
+/**
+ * Mount routers on an ephemeral server
+ * @param {Object} routers - { mountPath: router }
+ * @returns {Promise<Object>} { request(method, url, { headers, body }), close() }
+ */
+async function startServer(routers) {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    async request(method, url, { headers = {}, body } = {}) {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { ...headers, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const text = await response.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        // Non-JSON body (e.g. a file download)
+      }
+      return { status: response.status, body: json, text };
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  fakeQuery,
+  newId,
+  sameId,
+  createUser,
+  mockAuthentication,
+  bearer,
+  apiKeyFor,
+  startServer,
+};
@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, newId } = require('./helpers/routeHarness');
+const Job = require('../models/Job');
+const { getRssFeed, getAtomFeed, buildJobPostingJsonLd } = require('../jobFeedService');
+
+const createdAt = new Date('2026-03-01T09:00:00Z');
+const publishAt = new Date('2026-03-20T09:00:00Z');
+
+describe('job feeds', () => {
+  let aggregate;
+  let latestUpdate;
+
+  beforeEach(() => {
+    latestUpdate = new Date('2026-03-20T09:00:01Z');
+    aggregate = mock.method(Job, 'aggregate', async () => [
+      { _id: newId(), title: 'Scheduled', company: 'Acme', createdAt, publishAt, updatedAt: latestUpdate },
+    ]);
+    mock.method(Job, 'findOne', () => fakeQuery({ updatedAt: latestUpdate }));
+    mock.method(Job, 'estimatedDocumentCount', async () => 1);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('orders entries by go-live date and never returns the duplicate fingerprint', async () => {
+    await getRssFeed({ filters: {}, filter: { status: 'active' }, selfUrl: '/feeds/order.rss' });
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(pipeline[1], { $addFields: { liveAt: { $max: ['$createdAt', '$publishAt'] } } });
+    assert.deepEqual(pipeline[2], { $sort: { liveAt: -1, _id: -1 } });
+    assert.deepEqual(pipeline[pipeline.length - 1], { $project: { duplicateFingerprint: 0 } });
+  });
+
+  it('dates scheduled jobs by when they were published, not when they were written', async () => {
+    const rss = await getRssFeed({ filters: {}, filter: { status: 'active' }, selfUrl: '/feeds/dates.rss' });
+    const atom = await getAtomFeed({ filters: {}, filter: { status: 'active' }, selfUrl: '/feeds/dates.atom' });
+
+    assert.match(rss, new RegExp(`<pubDate>${publishAt.toUTCString()}</pubDate>`));
+    assert.match(rss, new RegExp(`<lastBuildDate>${publishAt.toUTCString()}</lastBuildDate>`));
+    assert.match(atom, new RegExp(`<published>${publishAt.toISOString()}</published>`));
+  });
+
+  it('serves a cached feed until a job changes', async () => {
+    const params = { filters: {}, filter: { status: 'active' }, selfUrl: '/feeds/cache.rss' };
+
+    const first = await getRssFeed(params);
+    assert.equal(await getRssFeed(params), first);
+    assert.equal(aggregate.mock.callCount(), 1);
+
+    latestUpdate = new Date('2026-03-21T10:00:00Z');
+    await getRssFeed(params);
+    assert.equal(aggregate.mock.callCount(), 2);
+  });
+});
+
+describe('buildJobPostingJsonLd', () => {
+  const job = (values) => Job.hydrate({ _id: newId(), title: 'Engineer', company: 'Acme', description: 'Build', ...values });
+
+  it('posts scheduled jobs on their publish date', () => {
+    assert.equal(buildJobPostingJsonLd(job({ createdAt, publishAt })).datePosted, publishAt.toISOString());
+  });
+
+  it('keeps the creation date when a publish date lies before it', () => {
+    assert.equal(buildJobPostingJsonLd(job({ createdAt: publishAt, publishAt: createdAt })).datePosted, publishAt.toISOString());
+    assert.equal(buildJobPostingJsonLd(job({ createdAt })).datePosted, createdAt.toISOString());
+  });
+});
@@ -0,0 +1,79 @@
+process.env.JOB_DUPLICATE_MODE = 'block';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, newId, createUser } = require('./helpers/routeHarness');
+const Job = require('../models/Job');
+const Organization = require('../models/Organization');
+const { buildJobFingerprint } = require('../utils/jobFingerprint');
+const { importJobs, exportJobs, parseImportPayload, rowToJobFields } = require('../jobImportService');
+
+describe('importJobs duplicate checks', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('applies the duplicate policy to every imported row', async () => {
+    const recruiter = createUser('recruiter');
+    const organization = Organization.hydrate({
+      _id: newId(),
+      name: 'Acme',
+      slug: 'acme',
+      members: [{ _id: newId(), user: recruiter._id, role: 'owner' }],
+    });
+    const description = 'Design and build reliable backend services in Node.js with MongoDB for our hiring platform';
+    const posted = Job.hydrate({
+      _id: newId(),
+      title: 'Backend Engineer',
+      company: 'Acme',
+      location: 'Berlin',
+      description,
+      status: 'active',
+      postedBy: recruiter._id,
+      organization: organization._id,
+      duplicateFingerprint: buildJobFingerprint({ title: 'Backend Engineer', company: 'Acme', location: 'Berlin', description }),
+    });
+
+    mock.method(Job, 'findOne', () => fakeQuery(null));
+    mock.method(Job, 'find', () => fakeQuery([posted]));
+
+    const { summary, rows } = await importJobs({ user: recruiter }, {
+      organization,
+      dryRun: true,
+      rows: [
+        { row: 1, line: 2, values: { title: 'Backend Engineer', location: 'Berlin', description } },
+        { row: 2, line: 3, values: { title: 'Product Designer', location: 'Lisbon', description: 'Shape the candidate experience end to end' } },
+      ],
+    });
+
+    assert.equal(rows[0].action, 'error');
+    assert.deepEqual(rows[0].errors, ['A very similar job is already posted']);
+    assert.equal(rows[0].duplicates[0].job._id.toString(), posted._id.toString());
+    assert.equal(rows[1].action, 'create');
+    assert.equal(rows[1].duplicates, undefined);
+    assert.deepEqual(summary, { total: 2, created: 1, updated: 0, unchanged: 0, failed: 1 });
+  });
+});
+
+describe('CSV export and re-import', () => {
+  it('keeps text a spreadsheet would read as a formula unchanged', () => {
+    const job = Job.hydrate({
+      _id: newId(),
+      title: '+1 Backend Engineer',
+      company: 'Acme',
+      description: '- Build APIs\n- Own the data model',
+      requirements: ['- 5 years of Node.js', 'MongoDB'],
+      skills: ['@mentions', 'Node.js'],
+      location: 'Berlin',
+    });
+
+    let values = parseImportPayload('csv', exportJobs([job], 'csv')).rows[0].values;
+    // A second round trip must not change anything either
+    values = parseImportPayload('csv', exportJobs([Job.hydrate({ ...job.toObject(), ...rowToJobFields(values).fields })], 'csv')).rows[0].values;
+    const { fields, errors } = rowToJobFields(values);
+
+    assert.deepEqual(errors, []);
+    assert.equal(fields.title, '+1 Backend Engineer');
+    assert.equal(fields.description, '- Build APIs\n- Own the data model');
+    assert.deepEqual(fields.requirements, ['- 5 years of Node.js', 'MongoDB']);
+    assert.deepEqual(fields.skills, ['@mentions', 'Node.js']);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const { buildJobFilters, findJobsPage } = require('../jobSearchService');
+const { encodeCursor } = require('../utils/pagination');
+
+describe('buildJobFilters', () => {
+  it('only ever lists active jobs', () => {
+    assert.equal(buildJobFilters({}).filter.status, 'active');
+    assert.equal(buildJobFilters({ status: 'draft' }).filter.status, 'active');
+    assert.equal(buildJobFilters({ status: { $ne: 'x' } }).filter.status, 'active');
+  });
+});
+
+describe('findJobsPage', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('never returns the internal duplicate fingerprint', async () => {
+    const aggregate = mock.method(Job, 'aggregate', async () => []);
+    mock.method(Job, 'countDocuments', async () => 0);
+    mock.method(Job, 'populate', async (jobs) => jobs);
+
+    await findJobsPage({ filter: { status: 'active' }, limit: 10 });
+
+    const pipeline = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(pipeline[pipeline.length - 1], { $project: { duplicateFingerprint: 0 } });
+  });
+
+  it('rejects cursors whose sort value is not of the sort field type', async () => {
+    const aggregate = mock.method(Job, 'aggregate', async () => []);
+    mock.method(Job, 'countDocuments', async () => 0);
+    const id = '0123456789abcdef01234567';
+
+    for (const [sort, v] of [
+      ['newest', { $gt: '' }],
+      ['newest', '2024-01-01'],
+      ['newest', { $date: 'not a date' }],
+      ['salary', { $ne: null }],
+      ['experience', '3'],
+    ]) {
+      const order = sort === 'experience' ? 1 : -1;
+      const cursor = Buffer.from(JSON.stringify({ s: sort, o: order, v, id })).toString('base64url');
+      const result = await findJobsPage({ filter: { status: 'active' }, sort, limit: 10, cursor });
+      assert.deepEqual(result, { error: 'Invalid cursor', status: 400 }, `${sort} ${JSON.stringify(v)}`);
+    }
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+
+  it('accepts cursors produced for the same sort', async () => {
+    mock.method(Job, 'aggregate', async () => []);
+    mock.method(Job, 'countDocuments', async () => 0);
+    mock.method(Job, 'populate', async (jobs) => jobs);
+    const id = '0123456789abcdef01234567';
+
+    for (const [sort, v] of [['newest', new Date()], ['salary', 120000], ['salary', null]]) {
+      const cursor = encodeCursor({ s: sort, o: -1, v, id });
+      const result = await findJobsPage({ filter: { status: 'active' }, sort, limit: 10, cursor });
+      assert.equal(result.error, undefined, `${sort} ${v}`);
+    }
+  });
+});
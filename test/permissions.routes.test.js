@@ -0,0 +1,379 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  fakeQuery, newId, sameId, createUser, mockAuthentication, bearer, apiKeyFor, startServer,
+} = require('./helpers/routeHarness');
+const Job = require('../models/Job');
+const Organization = require('../models/Organization');
+const Application = require('../models/Application');
+const Resume = require('../models/Resume');
+const JobStat = require('../models/JobStat');
+const JobView = require('../models/JobView');
+const gridfsService = require('../gridfsService');
+
+const jobsRouter = require('../routes/jobs');
+const applicationsRouter = require('../routes/applications');
+const uploadRouter = require('../routes/upload');
+
+/**
+ * Route-level checks of the permission policy (middleware/permissions.js)
+ * Each route runs behind its real auth and requirePermission middleware;
+ * only the database is faked.
+ */
+
+describe('permission policy on routes', () => {
+  let server;
+  let users;
+  let organization;
+  let otherOrganization;
+  let orgJob;
+  let legacyJob;
+  let application;
+  let resume;
+
+  before(async () => {
+    server = await startServer({
+      '/api/jobs': jobsRouter,
+      '/api/applications': applicationsRouter,
+      '/api/upload': uploadRouter,
+    });
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    users = {
+      admin: createUser('admin'),
+      owner: createUser('recruiter'),
+      orgRecruiter: createUser('recruiter'),
+      hiringManager: createUser('recruiter'),
+      viewer: createUser('recruiter'),
+      outsider: createUser('recruiter'),
+      legacyPoster: createUser('recruiter'),
+      applicant: createUser('candidate'),
+      otherCandidate: createUser('candidate'),
+    };
+
+    organization = new Organization({
+      name: 'Acme',
+      slug: 'acme',
+      members: [
+        { user: users.owner._id, role: 'owner' },
+        { user: users.orgRecruiter._id, role: 'recruiter' },
+        { user: users.hiringManager._id, role: 'hiring_manager' },
+        { user: users.viewer._id, role: 'viewer' },
+      ],
+    });
+    otherOrganization = new Organization({
+      name: 'Globex',
+      slug: 'globex',
+      members: [{ user: users.outsider._id, role: 'owner' }],
+    });
+
+    // Hydrated like documents loaded from the database (no pending changes)
+    orgJob = Job.hydrate({
+      _id: newId(),
+      title: 'Backend Engineer',
+      company: 'Acme',
+      description: 'Build APIs',
+      organization: organization._id,
+      postedBy: users.owner._id,
+      currentRevision: newId(),
+    });
+    // Posted before organizations existed - scoped to the posting recruiter
+    legacyJob = Job.hydrate({
+      _id: newId(),
+      title: 'Data Analyst',
+      company: 'Legacy Co',
+      description: 'Build reports',
+      postedBy: users.legacyPoster._id,
+      currentRevision: newId(),
+    });
+
+    application = Application.hydrate({ _id: newId(), job: orgJob._id, candidate: users.applicant._id, status: 'pending' });
+    resume = new Resume({ userId: users.applicant._id, fileName: 'cv.pdf', gridFSFileId: newId() });
+
+    const jobs = [orgJob, legacyJob];
+    const organizations = [organization, otherOrganization];
+
+    mockAuthentication(Object.values(users));
+    mock.method(Job, 'findById', (id) => fakeQuery(jobs.find(job => sameId(job._id, id)) || null));
+    mock.method(Organization, 'findById', (id) => fakeQuery(organizations.find(org => sameId(org._id, id)) || null));
+    mock.method(Application, 'findById', (id) => fakeQuery(sameId(application._id, id) ? application : null));
+    mock.method(Application, 'find', (query) => {
+      if (query.candidate) {
+        // Populated the way the resume scope check loads them
+        const matches = sameId(application.candidate, query.candidate)
+          ? [{ _id: application._id, candidate: application.candidate, job: jobs.find(job => sameId(job._id, application.job)) }]
+          : [];
+        return fakeQuery(matches);
+      }
+      return fakeQuery(sameId(application.job, query.job) ? [application] : []);
+    });
+    mock.method(Resume, 'findOne', ({ gridFSFileId }) => fakeQuery(sameId(resume.gridFSFileId, gridFSFileId) ? resume : null));
+    mock.method(gridfsService, 'downloadFile', async () => ({
+      buffer: Buffer.from('%PDF-1.4'),
+      contentType: 'application/pdf',
+      filename: 'cv.pdf',
+      size: 8,
+    }));
+
+    mock.method(Job.prototype, 'save', async function() { return this; });
+    mock.method(Job.prototype, 'populate', async function() { return this; });
+    mock.method(Job.prototype, 'deleteOne', async function() { return this; });
+    mock.method(Application.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('PUT /api/jobs/:id (job:update)', () => {
+    const update = (job, headers) => server.request('PUT', `/api/jobs/${job._id}`, { headers, body: { maxApplicants: 50 } });
+
+    it('requires authentication', async () => {
+      assert.equal((await update(orgJob, {})).status, 401);
+    });
+
+    it('returns 404 for an unknown job', async () => {
+      const response = await server.request('PUT', `/api/jobs/${newId()}`, { headers: bearer(users.owner), body: {} });
+      assert.equal(response.status, 404);
+    });
+
+    it('allows organization owners and recruiters', async () => {
+      assert.equal((await update(orgJob, bearer(users.owner))).status, 200);
+      assert.equal((await update(orgJob, bearer(users.orgRecruiter))).status, 200);
+    });
+
+    it('denies organization members whose role cannot edit jobs', async () => {
+      assert.equal((await update(orgJob, bearer(users.hiringManager))).status, 403);
+      assert.equal((await update(orgJob, bearer(users.viewer))).status, 403);
+    });
+
+    it('denies recruiters outside the organization and candidates', async () => {
+      assert.equal((await update(orgJob, bearer(users.outsider))).status, 403);
+      assert.equal((await update(orgJob, bearer(users.applicant))).status, 403);
+    });
+
+    it('scopes jobs without an organization to the posting recruiter', async () => {
+      assert.equal((await update(legacyJob, bearer(users.legacyPoster))).status, 200);
+      assert.equal((await update(legacyJob, bearer(users.owner))).status, 403);
+    });
+
+    it('ignores ownership, duplicate tracking and bookkeeping fields in the body', async () => {
+      const response = await server.request('PUT', `/api/jobs/${orgJob._id}`, {
+        headers: bearer(users.owner),
+        body: {
+          maxApplicants: 50,
+          postedBy: users.outsider._id,
+          organization: otherOrganization._id,
+          mergedInto: legacyJob._id,
+          duplicateFingerprint: { title: 'x', company: 'y', location: 'z', shingles: [1] },
+          closedReason: 'duplicate',
+        },
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(orgJob.maxApplicants, 50);
+      assert.ok(sameId(orgJob.postedBy, users.owner._id));
+      assert.ok(sameId(orgJob.organization, organization._id));
+      assert.equal(orgJob.mergedInto, undefined);
+      assert.equal(orgJob.duplicateFingerprint, undefined);
+      assert.equal(orgJob.closedReason, undefined);
+    });
+
+    it('allows admins on any job', async () => {
+      assert.equal((await update(orgJob, bearer(users.admin))).status, 200);
+      assert.equal((await update(legacyJob, bearer(users.admin))).status, 200);
+    });
+
+    it('allows an API key scoped to the job organization', async () => {
+      const headers = apiKeyFor(users.owner, { scopes: ['job:update'], organization });
+      assert.equal((await update(orgJob, headers)).status, 200);
+    });
+
+    it('denies an API key without the job:update scope', async () => {
+      const headers = apiKeyFor(users.owner, { scopes: ['application:read'], organization });
+      assert.equal((await update(orgJob, headers)).status, 403);
+    });
+
+    it('denies an API key bound to another organization even when its owner has access', async () => {
+      const headers = apiKeyFor(users.admin, { scopes: ['job:update'], organization: otherOrganization });
+      assert.equal((await update(orgJob, headers)).status, 403);
+      assert.equal((await update(legacyJob, headers)).status, 403);
+    });
+  });
+
+  describe('GET /api/jobs/:id (public, unpublished jobs need job:update)', () => {
+    const show = (job, headers = {}) => server.request('GET', `/api/jobs/${job._id}`, { headers });
+    let views;
+
+    beforeEach(() => {
+      views = 0;
+      mock.method(JobView, 'create', async () => { views++; });
+      mock.method(JobStat, 'updateOne', async () => ({}));
+    });
+
+    it('shows active jobs to anyone and counts the view', async () => {
+      orgJob.status = 'active';
+      assert.equal((await show(orgJob)).status, 200);
+      assert.equal((await show(orgJob, bearer(users.otherCandidate))).status, 200);
+      assert.equal(views, 2);
+    });
+
+    it('hides drafts, scheduled and closed jobs from visitors, candidates and other recruiters', async () => {
+      for (const status of ['draft', 'scheduled', 'closed']) {
+        orgJob.status = status;
+        assert.equal((await show(orgJob)).status, 404, status);
+        assert.equal((await show(orgJob, bearer(users.applicant))).status, 404, status);
+        assert.equal((await show(orgJob, bearer(users.outsider))).status, 404, status);
+        assert.equal((await show(orgJob, bearer(users.viewer))).status, 404, status);
+        assert.equal((await show(orgJob, { Accept: 'application/ld+json' })).status, 404, status);
+      }
+    });
+
+    it('lets those who may edit a job preview it without counting a view', async () => {
+      orgJob.status = 'draft';
+      legacyJob.status = 'closed';
+      assert.equal((await show(orgJob, bearer(users.orgRecruiter))).status, 200);
+      assert.equal((await show(orgJob, bearer(users.admin))).status, 200);
+      assert.equal((await show(legacyJob, bearer(users.legacyPoster))).status, 200);
+      assert.equal(views, 0);
+    });
+  });
+
+  describe('DELETE /api/jobs/:id (job:delete)', () => {
+    const remove = (job, headers) => server.request('DELETE', `/api/jobs/${job._id}`, { headers });
+
+    it('allows organization owners', async () => {
+      assert.equal((await remove(orgJob, bearer(users.owner))).status, 200);
+    });
+
+    it('denies viewers, outside recruiters and candidates', async () => {
+      assert.equal((await remove(orgJob, bearer(users.viewer))).status, 403);
+      assert.equal((await remove(orgJob, bearer(users.outsider))).status, 403);
+      assert.equal((await remove(orgJob, bearer(users.applicant))).status, 403);
+    });
+
+    it('scopes API keys to their organization and scopes', async () => {
+      assert.equal((await remove(orgJob, apiKeyFor(users.owner, { scopes: ['job:delete'], organization }))).status, 200);
+      assert.equal((await remove(orgJob, apiKeyFor(users.owner, { scopes: ['job:update'], organization }))).status, 403);
+      assert.equal((await remove(orgJob, apiKeyFor(users.outsider, { scopes: ['job:delete'], organization: otherOrganization }))).status, 403);
+    });
+  });
+
+  describe('GET /api/jobs/:id/analytics (job:analytics)', () => {
+    const analytics = (job, headers) => server.request('GET', `/api/jobs/${job._id}/analytics`, { headers });
+
+    beforeEach(() => {
+      mock.method(JobStat, 'find', () => fakeQuery([]));
+    });
+
+    it('allows every organization role, including viewers', async () => {
+      for (const member of ['owner', 'orgRecruiter', 'hiringManager', 'viewer']) {
+        assert.equal((await analytics(orgJob, bearer(users[member]))).status, 200, member);
+      }
+    });
+
+    it('denies candidates and recruiters outside the organization', async () => {
+      assert.equal((await analytics(orgJob, bearer(users.applicant))).status, 403);
+      assert.equal((await analytics(orgJob, bearer(users.outsider))).status, 403);
+    });
+
+    it('requires the job:analytics scope for API keys', async () => {
+      assert.equal((await analytics(orgJob, apiKeyFor(users.viewer, { scopes: ['job:analytics'], organization }))).status, 200);
+      assert.equal((await analytics(orgJob, apiKeyFor(users.viewer, { scopes: ['application:read'], organization }))).status, 403);
+    });
+  });
+
+  describe('GET /api/applications/job/:jobId (application:read)', () => {
+    const list = (job, headers) => server.request('GET', `/api/applications/job/${job._id}`, { headers });
+
+    it('allows every organization role, including viewers', async () => {
+      for (const member of ['owner', 'orgRecruiter', 'hiringManager', 'viewer']) {
+        const response = await list(orgJob, bearer(users[member]));
+        assert.equal(response.status, 200, member);
+        assert.equal(response.body.length, 1);
+      }
+    });
+
+    it('denies recruiters outside the organization', async () => {
+      assert.equal((await list(orgJob, bearer(users.outsider))).status, 403);
+    });
+
+    it('denies candidates, including the applicant', async () => {
+      assert.equal((await list(orgJob, bearer(users.applicant))).status, 403);
+      assert.equal((await list(orgJob, bearer(users.otherCandidate))).status, 403);
+    });
+
+    it('scopes API keys to their organization and scopes', async () => {
+      assert.equal((await list(orgJob, apiKeyFor(users.viewer, { scopes: ['application:read'], organization }))).status, 200);
+      assert.equal((await list(orgJob, apiKeyFor(users.viewer, { scopes: ['job:update'], organization }))).status, 403);
+      assert.equal((await list(orgJob, apiKeyFor(users.admin, { scopes: ['application:read'], organization: otherOrganization }))).status, 403);
+    });
+  });
+
+  describe('PUT /api/applications/:id/status (application:update-status)', () => {
+    const setStatus = (headers) => server.request('PUT', `/api/applications/${application._id}/status`, {
+      headers,
+      body: { status: 'reviewed' },
+    });
+
+    it('allows owners, recruiters and hiring managers of the organization', async () => {
+      for (const member of ['owner', 'orgRecruiter', 'hiringManager']) {
+        assert.equal((await setStatus(bearer(users[member]))).status, 200, member);
+      }
+    });
+
+    it('denies viewers and recruiters outside the organization', async () => {
+      assert.equal((await setStatus(bearer(users.viewer))).status, 403);
+      assert.equal((await setStatus(bearer(users.outsider))).status, 403);
+    });
+
+    it('denies the candidate who applied', async () => {
+      assert.equal((await setStatus(bearer(users.applicant))).status, 403);
+    });
+
+    it('returns 404 for an unknown application', async () => {
+      const response = await server.request('PUT', `/api/applications/${newId()}/status`, {
+        headers: bearer(users.owner),
+        body: { status: 'reviewed' },
+      });
+      assert.equal(response.status, 404);
+    });
+
+    it('scopes API keys to their organization and scopes', async () => {
+      assert.equal((await setStatus(apiKeyFor(users.hiringManager, { scopes: ['application:update-status'], organization }))).status, 200);
+      assert.equal((await setStatus(apiKeyFor(users.hiringManager, { scopes: ['application:read'], organization }))).status, 403);
+      assert.equal((await setStatus(apiKeyFor(users.admin, { scopes: ['application:update-status'], organization: otherOrganization }))).status, 403);
+    });
+  });
+
+  describe('GET /api/upload/resume/:fileId (resume:download)', () => {
+    const download = (headers) => server.request('GET', `/api/upload/resume/${resume.gridFSFileId}`, { headers });
+
+    it('allows the candidate who owns the resume', async () => {
+      assert.equal((await download(bearer(users.applicant))).status, 200);
+    });
+
+    it('allows organization members who may download resumes of their applicants', async () => {
+      assert.equal((await download(bearer(users.owner))).status, 200);
+      assert.equal((await download(bearer(users.hiringManager))).status, 200);
+    });
+
+    it('denies organization viewers, recruiters the candidate never applied to and other candidates', async () => {
+      assert.equal((await download(bearer(users.viewer))).status, 403);
+      assert.equal((await download(bearer(users.outsider))).status, 403);
+      assert.equal((await download(bearer(users.otherCandidate))).status, 403);
+    });
+
+    it('returns 404 for an unknown resume', async () => {
+      const response = await server.request('GET', `/api/upload/resume/${newId()}`, { headers: bearer(users.owner) });
+      assert.equal(response.status, 404);
+    });
+
+    it('scopes API keys to the organizations the candidate applied to', async () => {
+      assert.equal((await download(apiKeyFor(users.owner, { scopes: ['resume:download'], organization }))).status, 200);
+      assert.equal((await download(apiKeyFor(users.owner, { scopes: ['application:read'], organization }))).status, 403);
+      assert.equal((await download(apiKeyFor(users.admin, { scopes: ['resume:download'], organization: otherOrganization }))).status, 403);
+    });
+  });
+});
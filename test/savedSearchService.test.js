@@ -0,0 +1,84 @@
+process.env.MAIL_TRANSPORT = 'test';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeQuery, newId, createUser } = require('./helpers/routeHarness');
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const { registerTransport } = require('../mailService');
+const { buildNewJobsFilter, runSavedSearchNotifications } = require('../savedSearchService');
+
+const sent = [];
+registerTransport('test', async (message) => sent.push(message));
+
+describe('buildNewJobsFilter', () => {
+  const since = new Date('2026-03-01T00:00:00Z');
+  const until = new Date('2026-03-02T00:00:00Z');
+
+  it('matches jobs by when they went live within the window', () => {
+    const filter = buildNewJobsFilter({ filters: {} }, since, until);
+    const liveWindow = { $gt: since, $lte: until };
+
+    assert.equal(filter.$and[0].status, 'active');
+    assert.deepEqual(filter.$and[1].$or, [
+      // Posted in the window and not scheduled for later
+      { createdAt: liveWindow, publishAt: { $not: { $gt: until } } },
+      // Scheduled earlier and published in the window
+      { publishAt: liveWindow },
+    ]);
+  });
+
+  it('returns null when the stored filters are no longer valid', () => {
+    assert.equal(buildNewJobsFilter({ filters: { employmentType: 'Gig' } }, since, until), null);
+  });
+});
+
+describe('runSavedSearchNotifications', () => {
+  let user;
+  let findJobs;
+
+  beforeEach(() => {
+    sent.length = 0;
+    user = createUser('candidate');
+    const savedSearch = SavedSearch.hydrate({
+      _id: newId(),
+      user: user._id,
+      name: 'Node jobs',
+      filters: {},
+      frequency: 'daily',
+      lastRunAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+    });
+
+    let claimed = false;
+    mock.method(SavedSearch, 'findOneAndUpdate', async ({ frequency }) => {
+      if (frequency !== 'daily' || claimed) {
+        return null;
+      }
+      claimed = true;
+      return savedSearch;
+    });
+    mock.method(SavedSearch, 'updateOne', async () => ({}));
+    mock.method(SavedSearch.prototype, 'populate', async function() {
+      this.user = user;
+      return this;
+    });
+    findJobs = mock.method(Job, 'find', () => fakeQuery([{ _id: newId(), title: 'Node Engineer', company: 'Acme' }]));
+    mock.method(Job, 'countDocuments', async () => 1);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('emails new matches to users with a verified address', async () => {
+    assert.deepEqual(await runSavedSearchNotifications(), { checked: 1, notified: 1 });
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, user.email);
+  });
+
+  it('skips users who have not verified their email address', async () => {
+    user.emailVerified = false;
+
+    assert.deepEqual(await runSavedSearchNotifications(), { checked: 1, notified: 0 });
+    assert.equal(sent.length, 0);
+    assert.equal(findJobs.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RefreshToken = require('./models/RefreshToken');
+const Session = require('./models/Session');
+const { generateToken, JWT_EXPIRES_IN } = require('./utils/jwt');
+
+/**
+ * Token Service - Issues short-lived access tokens paired with rotating,
+ * server-stored refresh tokens, grouped into one session per login. Presenting
+ * a refresh token that was already rotated is treated as theft and revokes the
+ * whole session.
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash a raw token for storage or lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * When the refresh token of a session expires
+ * @returns {Date}
+ */
+function refreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Create and store a refresh token in the given session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} req - Express request (for IP and user agent)
+ * @returns {Promise<string>} Raw refresh token
+ */
+async function createRefreshToken(userId, sessionId, req) {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    session: sessionId,
+    tokenHash: hashToken(token),
+    expiresAt: refreshTokenExpiry(),
+    createdByIp: req?.ip,
+    userAgent: req?.get ? req.get('User-Agent') : undefined,
+  });
+
+  return token;
+}
+
+/**
+ * Issue an access/refresh token pair, starting a new session
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+async function issueAuthTokens(user, req) {
+  const session = await Session.create({
+    user: user._id,
+    userAgent: req?.get ? req.get('User-Agent') : undefined,
+    ip: req?.ip,
+    lastSeenIp: req?.ip,
+    expiresAt: refreshTokenExpiry(),
+  });
+  const refreshToken = await createRefreshToken(user._id, session._id, req);
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN,
+  };
+}
+
+/**
+ * Public user fields included in auth responses
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+function toAuthUser(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    skills: user.skills,
+    experience: user.experience,
+  };
+}
+
+/**
+ * Build the standard auth response returned by login/register
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Tokens plus public user fields
+ */
+async function buildAuthResponse(user, req) {
+  const tokens = await issueAuthTokens(user, req);
+
+  return {
+    ...tokens,
+    user: toAuthUser(user),
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair in the same session
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} { userId, token, refreshToken, expiresIn } or null if invalid
+ */
+async function rotateRefreshToken(rawToken, req) {
+  if (!rawToken || typeof rawToken !== 'string') {
+    return null;
+  }
+
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!stored) {
+    return null;
+  }
+
+  // A revoked token being presented again means it was copied - kill the session
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      console.warn(`Refresh token reuse detected for user ${stored.user}, revoking session ${stored.session}`);
+      await revokeSession(stored.session, 'reuse-detected');
+    }
+    return null;
+  }
+
+  if (stored.expiresAt < new Date() || !(await getActiveSession(stored.session))) {
+    return null;
+  }
+
+  const refreshToken = await createRefreshToken(stored.user, stored.session, req);
+
+  // Revoke atomically so two concurrent refreshes cannot both succeed
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: hashToken(refreshToken) }
+  );
+
+  if (!rotated) {
+    await revokeSession(stored.session, 'reuse-detected');
+    return null;
+  }
+
+  await Session.updateOne(
+    { _id: stored.session },
+    { lastSeenAt: new Date(), lastSeenIp: req?.ip, expiresAt: refreshTokenExpiry() }
+  );
+
+  return {
+    userId: stored.user,
+    token: generateToken(stored.user, stored.session),
+    refreshToken,
+    expiresIn: JWT_EXPIRES_IN,
+  };
+}
+
+/**
+ * Revoke a session and every active refresh token in it
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<void>}
+ */
+async function revokeSession(sessionId, reason) {
+  const revokedAt = new Date();
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt, revokedReason: reason });
+  await RefreshToken.updateMany(
+    { session: sessionId, revokedAt: null },
+    { revokedAt, revokedReason: reason }
+  );
+}
+
+/**
+ * Revoke all sessions of a user ("log out everywhere")
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @param {Object} options - { except: session ID to keep signed in }
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason = 'logout-all', options = {}) {
+  const revokedAt = new Date();
+  const sessionQuery = { user: userId, revokedAt: null };
+  const tokenQuery = { user: userId, revokedAt: null };
+  if (options.except) {
+    sessionQuery._id = { $ne: options.except };
+    tokenQuery.session = { $ne: options.except };
+  }
+
+  const result = await Session.updateMany(sessionQuery, { revokedAt, revokedReason: reason });
+  await RefreshToken.updateMany(tokenQuery, { revokedAt, revokedReason: reason });
+  return result.modifiedCount;
+}
+
+/**
+ * Load a session if it is still active, recording activity on it
+ * @param {string} sessionId - Session ID from the access token
+ * @param {Object} req - Express request (optional, for last-seen tracking)
+ * @returns {Promise<Object|null>} Session document or null if revoked or expired
+ */
+async function getActiveSession(sessionId, req) {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!session) {
+    return null;
+  }
+
+  // Record activity without writing on every single request
+  if (req && Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), lastSeenIp: req.ip })
+      .catch(error => console.error('Error updating session activity:', error.message));
+  }
+
+  return session;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Session documents
+ */
+async function getUserSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+}
+
+module.exports = {
+  hashToken,
+  issueAuthTokens,
+  toAuthUser,
+  buildAuthResponse,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSession,
+  getUserSessions,
+};
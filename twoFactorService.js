@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const User = require('./models/User');
+const SecuritySettings = require('./models/SecuritySettings');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('./utils/totp');
+const { encrypt, decrypt } = require('./utils/encryption');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Two-Factor Service - TOTP enrollment, verification, recovery codes and
+ * the admin policy that makes 2FA mandatory for selected roles
+ */
+
+const TWO_FACTOR_ROLES = ['recruiter', 'admin'];
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Job Portal';
+const RECOVERY_CODE_COUNT = 10;
+const POLICY_CACHE_TTL_MS = 30 * 1000;
+
+// The policy is read on every authenticated request, so keep a short-lived copy
+let policyCache = null;
+let policyCachedAt = 0;
+
+/**
+ * Get the current two-factor policy
+ * @returns {Promise<Object>} { requiredRoles }
+ */
+async function getTwoFactorPolicy() {
+  if (policyCache && Date.now() - policyCachedAt < POLICY_CACHE_TTL_MS) {
+    return policyCache;
+  }
+
+  const settings = await SecuritySettings.findOne({ key: 'global' }).lean();
+  policyCache = {
+    requiredRoles: settings?.twoFactorRequiredRoles || [],
+  };
+  policyCachedAt = Date.now();
+  return policyCache;
+}
+
+/**
+ * Update which roles must use two-factor authentication
+ * @param {Array<string>} requiredRoles - Roles that must enroll
+ * @param {string} updatedBy - Admin user ID
+ * @returns {Promise<Object>} { requiredRoles }
+ */
+async function updateTwoFactorPolicy(requiredRoles, updatedBy) {
+  const settings = await SecuritySettings.findOneAndUpdate(
+    { key: 'global' },
+    { twoFactorRequiredRoles: requiredRoles, updatedBy },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  policyCache = { requiredRoles: settings.twoFactorRequiredRoles };
+  policyCachedAt = Date.now();
+  return policyCache;
+}
+
+/**
+ * Whether the user's role requires 2FA but the user has not enrolled yet
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorSetupRequired(user) {
+  if (user.twoFactor?.enabled) {
+    return false;
+  }
+  const policy = await getTwoFactorPolicy();
+  return policy.requiredRoles.includes(user.role);
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes: plaintext codes, hashes: stored entries }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashToken(normalizeRecoveryCode(code)) })),
+  };
+}
+
+/**
+ * Canonical form of a recovery code for hashing - case, dashes and spaces are ignored
+ * @param {string} code - Recovery code as generated or typed
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Start enrollment by generating a pending secret
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} { secret, otpauthUri }
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+
+  await User.updateOne(
+    { _id: user._id },
+    { 'twoFactor.pendingSecret': encrypt(secret) }
+  );
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }),
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if the code is wrong
+ */
+async function confirmEnrollment(userId, code) {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  if (!user || !user.twoFactor?.pendingSecret) {
+    return null;
+  }
+
+  const secret = decrypt(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': encrypt(secret),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.recoveryCodes': hashes,
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+
+  return codes;
+}
+
+/**
+ * Verify a second factor - either a TOTP code or an unused recovery code
+ * @param {string} userId - User ID
+ * @param {Object} params - { code, recoveryCode }
+ * @returns {Promise<Object>} { valid, method, remainingRecoveryCodes }
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user || !user.twoFactor?.enabled || !user.twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = verifyTotp(decrypt(user.twoFactor.secret), code);
+    // Reject replays of a code that was already used
+    if (step === null || (user.twoFactor.lastUsedStep != null && step <= user.twoFactor.lastUsedStep)) {
+      return { valid: false };
+    }
+
+    const updated = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+        ],
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return { valid: updated.modifiedCount === 1, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    // Mark the code as used atomically so it works only once
+    const updated = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+
+    if (updated.modifiedCount !== 1) {
+      return { valid: false };
+    }
+
+    const remainingRecoveryCodes = user.twoFactor.recoveryCodes
+      .filter(entry => !entry.usedAt && entry.hash !== hash).length;
+    return { valid: true, method: 'recovery-code', remainingRecoveryCodes };
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Replace the user's recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} New recovery codes
+ */
+async function regenerateRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { 'twoFactor.recoveryCodes': hashes });
+  return codes;
+}
+
+/**
+ * Turn two-factor authentication off and remove all secrets
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function disableTwoFactor(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1,
+      },
+    }
+  );
+}
+
+/**
+ * Two-factor status for display
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, enabledAt, required, remainingRecoveryCodes }
+ */
+async function getTwoFactorStatus(userId) {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  const policy = await getTwoFactorPolicy();
+
+  return {
+    available: TWO_FACTOR_ROLES.includes(user.role),
+    enabled: !!user.twoFactor?.enabled,
+    enabledAt: user.twoFactor?.enabledAt,
+    required: policy.requiredRoles.includes(user.role),
+    remainingRecoveryCodes: (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length,
+  };
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  isTwoFactorSetupRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus,
+};
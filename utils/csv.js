@@ -0,0 +1,126 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180: comma separated, double-quoted
+ * fields, doubled quotes inside quoted fields, CRLF or LF line endings)
+ */
+
+/**
+ * Parse CSV text into records keyed by the header row
+ * @param {string} text - CSV content
+ * @returns {Object} { headers, records: [{ line, values: { header: value } }] } or { error }
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { error: `Unterminated quoted field starting on line ${rowLine}` };
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Skip blank lines
+  const nonEmpty = rows.filter(r => r.cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { error: 'CSV is empty' };
+  }
+
+  const headers = nonEmpty[0].cells.map(header => header.trim());
+  const records = nonEmpty.slice(1).map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ''])),
+  }));
+
+  return { headers, records };
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for CSV output when needed, neutralizing spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Force formula-like text to plain text with a leading apostrophe
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undo escapeCsvValue's formula neutralization on a parsed cell
+ * Only a single apostrophe directly before a formula character is removed, so
+ * exported files can be imported again without the text changing.
+ * @param {string} text - Parsed cell value
+ * @returns {string}
+ */
+function unescapeCsvValue(text) {
+  return text.startsWith('\'') && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Object>} rows - Objects keyed by column name
+ * @returns {string} CSV content
+ */
+function toCsv(headers, rows) {
+  const lines = [headers.map(escapeCsvValue).join(',')];
+  rows.forEach(row => lines.push(headers.map(header => escapeCsvValue(row[header])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  unescapeCsvValue,
+};
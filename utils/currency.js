@@ -0,0 +1,54 @@
+/**
+ * Currency conversion using the local exchange rate table (config/exchangeRates.js)
+ */
+
+const { BASE_CURRENCY, EXCHANGE_RATES } = require('../config/exchangeRates');
+
+/**
+ * Whether salaries in this currency can be normalized
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean}
+ */
+const isSupportedCurrency = (currency) => {
+  return typeof currency === 'string' && EXCHANGE_RATES.rates[currency.toUpperCase()] !== undefined;
+};
+
+/**
+ * Convert an amount to the base currency
+ * @param {number} amount - Amount in the given currency
+ * @param {string} currency - ISO 4217 code (defaults to the base currency)
+ * @returns {number|null} Rounded amount in the base currency, or null if unknown
+ */
+const toBaseCurrency = (amount, currency = BASE_CURRENCY) => {
+  if (amount === null || amount === undefined || isNaN(amount) || !isSupportedCurrency(currency)) {
+    return null;
+  }
+  return Math.round(Number(amount) * EXCHANGE_RATES.rates[currency.toUpperCase()]);
+};
+
+/**
+ * Convert an amount from the base currency
+ * @param {number} amount - Amount in the base currency
+ * @param {string} currency - Target ISO 4217 code
+ * @returns {number|null} Rounded amount, or null if unknown
+ */
+const fromBaseCurrency = (amount, currency) => {
+  if (amount === null || amount === undefined || isNaN(amount) || !isSupportedCurrency(currency)) {
+    return null;
+  }
+  return Math.round(Number(amount) / EXCHANGE_RATES.rates[currency.toUpperCase()]);
+};
+
+/**
+ * Supported currency codes
+ * @returns {Array<string>}
+ */
+const getSupportedCurrencies = () => Object.keys(EXCHANGE_RATES.rates).sort();
+
+module.exports = {
+  BASE_CURRENCY,
+  isSupportedCurrency,
+  toBaseCurrency,
+  fromBaseCurrency,
+  getSupportedCurrencies,
+};
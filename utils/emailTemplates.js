@@ -0,0 +1,141 @@
+/**
+ * Email templates - each returns { subject, text, html } for mailService.sendMail
+ */
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Build a link into the front end
+ * @param {string} pathname - Path on the client app
+ * @param {Object} params - Query parameters
+ * @returns {string} Absolute URL
+ */
+const buildClientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, CLIENT_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: `Hi ${name},
+
+We received a request to reset your password. Use the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a password reset, you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset your password. Use the link below to choose a new one:</p>
+<p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a password reset, you can ignore this email.</p>`,
+});
+
+const emailVerificationEmail = ({ name, verifyUrl, expiresInHours }) => ({
+  subject: 'Verify your email address',
+  text: `Hi ${name},
+
+Welcome to Job Portal! Please confirm your email address by opening the link below:
+
+${verifyUrl}
+
+This link expires in ${expiresInHours} hours. Until your email is verified you will not be able to apply for jobs or post openings.`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Welcome to Job Portal! Please confirm your email address by opening the link below:</p>
+<p><a href="${escapeHtml(verifyUrl)}">Verify email</a></p>
+<p>This link expires in ${expiresInHours} hours. Until your email is verified you will not be able to apply for jobs or post openings.</p>`,
+});
+
+const invitationEmail = ({ inviterName, role, company, acceptUrl, expiresInHours }) => {
+  const roleLabel = role === 'admin' ? 'an administrator' : 'a recruiter';
+  const companyText = company ? ` for ${company}` : '';
+
+  return {
+    subject: `You have been invited to join Job Portal as ${roleLabel}`,
+    text: `Hi,
+
+${inviterName} has invited you to join Job Portal as ${roleLabel}${companyText}.
+
+Accept the invitation and set your password here:
+
+${acceptUrl}
+
+This invitation expires in ${expiresInHours} hours.`,
+    html: `<p>Hi,</p>
+<p>${escapeHtml(inviterName)} has invited you to join Job Portal as ${roleLabel}${escapeHtml(companyText)}.</p>
+<p><a href="${escapeHtml(acceptUrl)}">Accept invitation</a></p>
+<p>This invitation expires in ${expiresInHours} hours.</p>`,
+  };
+};
+
+const accountLockedEmail = ({ name, lockedUntil, resetUrl }) => ({
+  subject: 'Your account has been temporarily locked',
+  text: `Hi ${name},
+
+We locked your account after several failed login attempts. You can try again after ${lockedUntil.toUTCString()}.
+
+If this was not you, someone may be trying to guess your password. We recommend resetting it:
+
+${resetUrl}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We locked your account after several failed login attempts. You can try again after ${lockedUntil.toUTCString()}.</p>
+<p>If this was not you, someone may be trying to guess your password. We recommend <a href="${escapeHtml(resetUrl)}">resetting it</a>.</p>`,
+});
+
+const jobExpiringEmail = ({ name, jobTitle, expiresAt, jobUrl }) => ({
+  subject: `Your job posting "${jobTitle}" expires soon`,
+  text: `Hi ${name},
+
+Your job posting "${jobTitle}" will close automatically on ${expiresAt.toUTCString()}.
+
+To keep receiving applications, extend the expiry date here:
+
+${jobUrl}`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Your job posting "${escapeHtml(jobTitle)}" will close automatically on ${expiresAt.toUTCString()}.</p>
+<p>To keep receiving applications, <a href="${escapeHtml(jobUrl)}">extend the expiry date</a>.</p>`,
+});
+
+const savedSearchDigestEmail = ({ name, searchName, frequency, jobs, total, searchUrl, unsubscribeUrl }) => {
+  const intro = frequency === 'instant'
+    ? `New jobs match your saved search "${searchName}":`
+    : `Here are the new jobs matching your saved search "${searchName}" since your last ${frequency} digest:`;
+  const describe = (job) => [job.title, job.company, job.location].filter(Boolean).join(' - ');
+  const more = total > jobs.length ? total - jobs.length : 0;
+
+  return {
+    subject: `${total} new job${total === 1 ? '' : 's'} for "${searchName}"`,
+    text: `Hi ${name},
+
+${intro}
+
+${jobs.map(job => `- ${describe(job)}\n  ${job.url}`).join('\n')}
+${more > 0 ? `\n...and ${more} more: ${searchUrl}\n` : ''}
+To stop these emails, unsubscribe here:
+
+${unsubscribeUrl}`,
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+<ul>
+${jobs.map(job => `<li><a href="${escapeHtml(job.url)}">${escapeHtml(describe(job))}</a></li>`).join('\n')}
+</ul>
+${more > 0 ? `<p><a href="${escapeHtml(searchUrl)}">See ${more} more</a></p>\n` : ''}<p><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a> from this saved search.</p>`,
+  };
+};
+
+module.exports = {
+  buildClientUrl,
+  escapeHtml,
+  passwordResetEmail,
+  emailVerificationEmail,
+  invitationEmail,
+  accountLockedEmail,
+  jobExpiringEmail,
+  savedSearchDigestEmail,
+};
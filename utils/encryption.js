@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./jwt');
+
+/**
+ * Symmetric encryption for secrets stored in the database (AES-256-GCM)
+ * The key comes from ENCRYPTION_KEY, falling back to one derived from JWT_SECRET.
+ */
+
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || `encryption:${JWT_SECRET}`)
+  .digest();
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} iv:authTag:ciphertext (base64 parts)
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - iv:authTag:ciphertext
+ * @returns {string} Plaintext
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+/**
+ * Similarity fingerprints for detecting re-posted jobs
+ * A fingerprint keeps the normalized title, company and location plus a
+ * bottom-k MinHash sketch of the description's word shingles, so two jobs can
+ * be compared without loading their full descriptions.
+ */
+
+const SHINGLE_SIZE = 3;
+const SKETCH_SIZE = 64;
+
+// How much each part contributes to the similarity score (company must match)
+const WEIGHTS = {
+  title: 0.35,
+  location: 0.15,
+  description: 0.5,
+};
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+}
+
+/**
+ * 32-bit hash of a shingle
+ * @param {string} shingle - Shingle text
+ * @returns {number}
+ */
+function hashShingle(shingle) {
+  return crypto.createHash('md5').update(shingle).digest().readUInt32BE(0);
+}
+
+/**
+ * Bottom-k sketch of the word shingles of a text
+ * @param {string} text - Raw text
+ * @returns {Array<number>} Up to SKETCH_SIZE smallest shingle hashes, ascending
+ */
+function buildShingleSketch(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  const shingles = new Set();
+
+  if (words.length > 0 && words.length < SHINGLE_SIZE) {
+    shingles.add(words.join(' '));
+  }
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+
+  return [...new Set([...shingles].map(hashShingle))]
+    .sort((a, b) => a - b)
+    .slice(0, SKETCH_SIZE);
+}
+
+/**
+ * Fingerprint of a job's identifying content
+ * @param {Object} job - { title, company, location, description }
+ * @returns {Object} { title, company, location, shingles }
+ */
+function buildJobFingerprint(job) {
+  return {
+    title: normalizeText(job.title),
+    company: normalizeText(job.company),
+    location: normalizeText(job.location),
+    shingles: buildShingleSketch(job.description),
+  };
+}
+
+/**
+ * Estimated Jaccard similarity of two bottom-k sketches
+ * @param {Array<number>} a - Sketch
+ * @param {Array<number>} b - Sketch
+ * @returns {number} 0..1
+ */
+function compareSketches(a = [], b = []) {
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = [...new Set([...a, ...b])].sort((x, y) => x - y).slice(0, SKETCH_SIZE);
+  const shared = union.filter(hash => setA.has(hash) && setB.has(hash)).length;
+
+  return union.length > 0 ? shared / union.length : 0;
+}
+
+/**
+ * Jaccard similarity of the words of two normalized strings
+ * @param {string} a - Normalized text
+ * @param {string} b - Normalized text
+ * @returns {number} 0..1
+ */
+function compareWords(a, b) {
+  const wordsA = new Set(String(a || '').split(' ').filter(Boolean));
+  const wordsB = new Set(String(b || '').split(' ').filter(Boolean));
+  if (wordsA.size === 0 && wordsB.size === 0) {
+    return 1;
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Similarity of two job fingerprints
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {number} 0..1 (0 when the companies differ)
+ */
+function compareFingerprints(a, b) {
+  if (!a || !b || a.company !== b.company) {
+    return 0;
+  }
+
+  const score = WEIGHTS.title * compareWords(a.title, b.title)
+    + WEIGHTS.location * (a.location === b.location ? 1 : 0)
+    + WEIGHTS.description * compareSketches(a.shingles, b.shingles);
+
+  return Math.round(score * 1000) / 1000;
+}
+
+module.exports = {
+  normalizeText,
+  buildShingleSketch,
+  buildJobFingerprint,
+  compareFingerprints,
+};
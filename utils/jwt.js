@@ -1,15 +1,16 @@
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
- * Generate JWT token
+ * Generate JWT access token
  * @param {string} userId - User ID
+ * @param {string} sessionId - Session the access token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
 };
 
 /**
@@ -18,7 +19,37 @@ const generateToken = (userId) => {
  * @returns {object} Decoded token payload
  */
 const verifyToken = (token) => {
-  return jwt.verify(token, JWT_SECRET);
+  const decoded = jwt.verify(token, JWT_SECRET);
+  // Single-purpose tokens (email links etc.) must never work as access tokens
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+  return decoded;
+};
+
+/**
+ * Generate a signed single-purpose token (e.g. for links sent by email)
+ * @param {object} payload - Claims to embed
+ * @param {string} purpose - Purpose the token may be used for
+ * @param {string} expiresIn - Expiry (jsonwebtoken format)
+ * @returns {string} JWT token
+ */
+const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+};
+
+/**
+ * Verify a single-purpose token
+ * @param {string} token - JWT token
+ * @param {string} purpose - Expected purpose
+ * @returns {object} Decoded token payload
+ */
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+  return decoded;
 };
 
 /**
@@ -33,7 +64,9 @@ const decodeToken = (token) => {
 module.exports = {
   generateToken,
   verifyToken,
+  generatePurposeToken,
+  verifyPurposeToken,
   decodeToken,
   JWT_SECRET,
+  JWT_EXPIRES_IN,
 };
-
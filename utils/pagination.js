@@ -0,0 +1,103 @@
+/**
+ * Cursor pagination helpers
+ * Cursors are opaque to clients: base64url-encoded JSON holding the sort the
+ * page was produced with and the sort key of the last item returned.
+ */
+
+const DEFAULT_PAGE_LIMIT = parseInt(process.env.DEFAULT_PAGE_LIMIT) || 20;
+const MAX_PAGE_LIMIT = parseInt(process.env.MAX_PAGE_LIMIT) || 100;
+
+/**
+ * Clamp a requested page size
+ * @param {string|number} limit - Requested limit
+ * @returns {number} Page size between 1 and MAX_PAGE_LIMIT
+ */
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) {
+    return DEFAULT_PAGE_LIMIT;
+  }
+  return Math.min(parsed, MAX_PAGE_LIMIT);
+};
+
+/**
+ * Encode a cursor
+ * @param {Object} data - Cursor contents (Dates are preserved)
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (data) => {
+  const payload = {};
+  for (const [key, value] of Object.entries(data)) {
+    payload[key] = value instanceof Date ? { $date: value.toISOString() } : value;
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object|null} Cursor contents, or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object') {
+      return null;
+    }
+
+    for (const [key, value] of Object.entries(payload)) {
+      if (value && typeof value === 'object' && typeof value.$date === 'string') {
+        payload[key] = new Date(value.$date);
+      }
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Link to the next page: the current URL with the cursor replaced
+ * @param {Object} req - Express request
+ * @param {string} nextCursor - Cursor of the next page
+ * @returns {string|null} Relative URL, or null on the last page
+ */
+const buildNextLink = (req, nextCursor) => {
+  if (!nextCursor) {
+    return null;
+  }
+
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === 'cursor') continue;
+    (Array.isArray(value) ? value : [value]).forEach(item => params.append(key, item));
+  }
+  params.set('cursor', nextCursor);
+
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+};
+
+/**
+ * Pagination block of the standard list envelope
+ * @param {Object} req - Express request
+ * @param {Object} page - { total, limit, sort, order, nextCursor }
+ * @returns {Object} { total, limit, sort, order, nextCursor, next }
+ */
+const buildPageInfo = (req, { total, limit, sort, order, nextCursor }) => ({
+  total,
+  limit,
+  sort,
+  order,
+  nextCursor: nextCursor || null,
+  next: buildNextLink(req, nextCursor),
+});
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildNextLink,
+  buildPageInfo,
+};
@@ -0,0 +1,135 @@
+/**
+ * Password policy checks
+ * Rules are configured in config/passwordPolicy.js. The common password list is
+ * bundled with the app (config/common-passwords.txt) so checks work offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PASSWORD_POLICY } = require('../config/passwordPolicy');
+
+const COMMON_PASSWORDS_FILE = process.env.COMMON_PASSWORDS_FILE
+  || path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+// Shorter fragments of a name or email would reject too many passwords
+const MIN_PERSONAL_FRAGMENT_LENGTH = 3;
+
+let commonPasswords = null;
+
+/**
+ * Load the common password list once
+ * @returns {Set<string>} Lowercased passwords
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * Whether a password is (a trivial variation of) a common password
+ * "Summer2024!" is caught through its base word once digits and symbols
+ * around it are stripped.
+ * @param {string} password - Candidate password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const lowered = password.toLowerCase();
+  const base = lowered.replace(/^[^a-z]+|[^a-z]+$/g, '');
+
+  return list.has(lowered) || (base.length >= 4 && list.has(base));
+};
+
+/**
+ * Name parts and email local part that must not appear in the password
+ * @param {Object} user - { name, email }
+ * @returns {Array<string>} Lowercased fragments
+ */
+const getPersonalFragments = ({ name, email } = {}) => {
+  const fragments = [];
+
+  if (name) {
+    fragments.push(...String(name).toLowerCase().split(/\s+/));
+  }
+
+  if (email) {
+    const localPart = String(email).toLowerCase().split('@')[0];
+    fragments.push(localPart, ...localPart.split(/[._+-]+/));
+  }
+
+  return [...new Set(fragments)].filter(fragment => fragment.length >= MIN_PERSONAL_FRAGMENT_LENGTH);
+};
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} user - { name, email } of the account the password is for
+ * @returns {Object} { isValid, errors } with one message per failed rule
+ */
+const validatePasswordPolicy = (password, user = {}) => {
+  const policy = PASSWORD_POLICY;
+  const errors = [];
+
+  if (!password || typeof password !== 'string') {
+    return { isValid: false, errors: ['Password is required'] };
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push(`Password must be at most ${policy.maxLength} characters long`);
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  if (policy.disallowPersonalInfo) {
+    const lowered = password.toLowerCase();
+    if (getPersonalFragments(user).some(fragment => lowered.includes(fragment))) {
+      errors.push('Password must not contain your name or email address');
+    }
+  }
+
+  if (policy.disallowCommon && isCommonPassword(password)) {
+    errors.push('Password is too common and has appeared in data breaches');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * The active rules, for clients that show requirements up front
+ * @returns {Object} Password policy
+ */
+const getPasswordPolicy = () => ({ ...PASSWORD_POLICY });
+
+module.exports = {
+  validatePasswordPolicy,
+  getPasswordPolicy,
+  isCommonPassword,
+};
@@ -2,14 +2,21 @@
  * Validation utilities for authentication
  */
 
+const { validatePasswordPolicy } = require('./passwordPolicy');
+
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
 };
 
-const validatePassword = (password) => {
-  // Minimum 6 characters
-  return password && password.length >= 6;
+/**
+ * Check a password against the configured password policy
+ * @param {string} password - Candidate password
+ * @param {Object} user - { name, email } of the account the password is for
+ * @returns {Object} { isValid, errors }
+ */
+const validatePassword = (password, user = {}) => {
+  return validatePasswordPolicy(password, user);
 };
 
 const validateUserInput = (data) => {
@@ -23,9 +30,7 @@ const validateUserInput = (data) => {
     errors.push('Valid email is required');
   }
 
-  if (!data.password || !validatePassword(data.password)) {
-    errors.push('Password must be at least 6 characters long');
-  }
+  errors.push(...validatePassword(data.password, { name: data.name, email: data.email }).errors);
 
   return {
     isValid: errors.length === 0,